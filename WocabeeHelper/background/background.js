@@ -0,0 +1,342 @@
+/**
+ * WocabeeHelper Background Service Worker
+ * Owns the word database - every other part of the extension asks it to make changes -
+ * and reminds about due reviews, even when no Wocabee tab is open
+ */
+
+// The shared utils make themselves available on window, which a service worker doesn't have
+self.window = self;
+
+importScripts(
+    '../utils/config.js',
+    '../utils/store.js',
+    '../utils/languages.js',
+    '../utils/migrations.js',
+    '../utils/state.js',
+    '../utils/search.js',
+    '../utils/scheduler.js',
+    '../utils/auditor.js',
+    '../utils/progress.js',
+    '../utils/snapshots.js'
+);
+
+const WocabeeBackground = {
+    // Resolves once the word database is migrated and loaded
+    ready: null,
+
+    // PNG data URL of the notification icon, drawn once
+    iconUrl: null,
+
+    // Requests that can wipe or replace saved words - only extension pages may send them,
+    // never a content script running on a web page
+    extensionOnly: new Set(['clearDatabase', 'importDatabase', 'takeSnapshot', 'restoreSnapshot', 'deleteSnapshot']),
+
+    // Requests that only read - the rest are refused while the saved words couldn't be migrated
+    readOnly: new Set(['getDatabase', 'queryWords', 'listSnapshots']),
+
+    /**
+     * Requests other contexts can send with WocabeeStore.request()
+     * Each one gets the request payload and returns the response fields
+     */
+    handlers: {
+        getDatabase() {
+            return { data: WocabeeState.serialize(), storageError: WocabeeState.storageError };
+        },
+
+        addWords({ pairs, meta }) {
+            return { added: WocabeeState.addWords(pairs || [], meta || null) };
+        },
+
+        updateWord({ oldSource, oldTarget, source, target }) {
+            return { updated: WocabeeState.updateWord(oldSource, oldTarget, source, target) };
+        },
+
+        deleteWord({ source, target }) {
+            return { deleted: WocabeeState.removeWord(source, target) };
+        },
+
+        queryWords({ word }) {
+            return { translations: WocabeeState.findTranslation(word) || [] };
+        },
+
+        updateDetails({ source, target, details }) {
+            return { updated: WocabeeState.updateDetails(source, target, details) };
+        },
+
+        recordMistake({ source, target }) {
+            return { recorded: WocabeeState.recordMistake(source, target) };
+        },
+
+        async recordMatchResults({ results }) {
+            return { recorded: await WocabeeState.recordMatchResults(results || []) };
+        },
+
+        async review({ source, target, grade, now }) {
+            return { record: await WocabeeScheduler.review(source, target, grade, now) };
+        },
+
+        async moveReview({ oldSource, oldTarget, source, target }) {
+            await WocabeeScheduler.moveRecord(oldSource, oldTarget, source, target);
+            return {};
+        },
+
+        async removeReview({ source, target }) {
+            await WocabeeScheduler.removeRecord(source, target);
+            return {};
+        },
+
+        async ignorePair({ source, target }) {
+            await WocabeeAuditor.ignore(source, target);
+            return {};
+        },
+
+        recordHelp() {
+            WocabeeState.recordHelp();
+            return {};
+        },
+
+        async saveSettings({ settings }) {
+            await WocabeeState.saveSettings(settings || {});
+            return { settings: WocabeeState.settings };
+        },
+
+        async setStudyOnly({ enabled, pin }) {
+            try {
+                await WocabeeState.setStudyOnly(!!enabled, pin || '');
+            } finally {
+                // A wrong PIN changes the lock too - its try counts toward the wait
+                await WocabeeBackground.savePinLock();
+            }
+            return { settings: WocabeeState.settings };
+        },
+
+        async importDatabase({ json }) {
+            return await WocabeeState.importDatabase(json);
+        },
+
+        async clearDatabase() {
+            return { snapshot: await WocabeeState.clearDatabase() };
+        },
+
+        async listSnapshots() {
+            return { snapshots: await WocabeeSnapshots.list() };
+        },
+
+        async takeSnapshot({ reason }) {
+            return { snapshot: await WocabeeSnapshots.take(reason) };
+        },
+
+        async restoreSnapshot({ id }) {
+            await WocabeeSnapshots.restore(id);
+            return {};
+        },
+
+        async deleteSnapshot({ id }) {
+            await WocabeeSnapshots.remove(id);
+            return {};
+        }
+    },
+
+    /**
+     * Register the event listeners
+     * Listeners must be added synchronously so Chrome can wake the worker for them
+     */
+    init() {
+        this.ready = this.load();
+
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message?.target !== 'background') return false;
+            this.handleRequest(message, sender).then(sendResponse);
+            return true; // Keep channel open for async response
+        });
+
+        // Batched saves run a second after the last change, well before Chrome stops an idle
+        // worker - and clearing, importing and restoring save right away. This is a last try only
+        chrome.runtime.onSuspend.addListener(() => {
+            WocabeeState.saveToStorage();
+            WocabeeScheduler.flush();
+        });
+
+        chrome.runtime.onInstalled.addListener(() => this.scheduleReminders());
+        chrome.runtime.onStartup.addListener(() => this.scheduleReminders());
+
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === WocabeeConfig.reminders.alarmName) {
+                this.checkReminder();
+                this.checkSnapshot();
+            }
+        });
+
+        chrome.notifications.onClicked.addListener((id) => {
+            if (id === WocabeeConfig.reminders.alarmName) {
+                chrome.notifications.clear(id);
+                this.openReviews();
+            }
+        });
+    },
+
+    /**
+     * Load the word database, then the review records and kept pairs
+     * The database load migrates older saved data, which the others depend on
+     */
+    async load() {
+        await WocabeeState.init();
+        await WocabeeScheduler.init();
+        await WocabeeAuditor.init();
+    },
+
+    /**
+     * Run a request from another context against the database
+     */
+    async handleRequest(message, sender) {
+        const handler = this.handlers[message.action];
+        if (!handler) {
+            return { success: false, error: `Unknown action: ${message.action}` };
+        }
+        if (this.extensionOnly.has(message.action) && !this.isExtensionPage(sender)) {
+            this.log(`Refused "${message.action}" from`, sender?.url);
+            return { success: false, error: `"${message.action}" is only allowed from the extension's own pages` };
+        }
+
+        try {
+            await this.ready;
+            if (WocabeeState.storageError && !this.readOnly.has(message.action)) {
+                throw new Error(`Saved words could not be loaded, so nothing is saved: ${WocabeeState.storageError}`);
+            }
+            return { success: true, ...(await handler(message.payload || {})) };
+        } catch (error) {
+            this.log(`Request "${message.action}" failed:`, error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Check if a message came from one of the extension's own pages (popup, options, study pages)
+     * Content scripts send from the web page they run on
+     */
+    isExtensionPage(sender) {
+        return sender?.id === chrome.runtime.id && !!sender.url?.startsWith(chrome.runtime.getURL(''));
+    },
+
+    /**
+     * Save the study-only PIN lock, or remove it when there is none
+     * It has its own key, so the settings other contexts read never hold the hash
+     */
+    async savePinLock() {
+        const key = WocabeeConfig.storage.studyPin;
+        if (WocabeeState.pinLock) {
+            await chrome.storage.local.set({ [key]: JSON.stringify(WocabeeState.pinLock) });
+        } else {
+            await chrome.storage.local.remove(key);
+        }
+    },
+
+    /**
+     * Check for due reviews every hour
+     */
+    async scheduleReminders() {
+        await chrome.alarms.create(WocabeeConfig.reminders.alarmName, {
+            delayInMinutes: 1,
+            periodInMinutes: WocabeeConfig.reminders.checkInterval
+        });
+        this.log('Reminder alarm scheduled');
+    },
+
+    /**
+     * Show a reminder if reviews are due and today's goal isn't reached
+     * At most one reminder a day, and not before the configured hour. Only due reviews
+     * count, not new words (the setting is labelled that way)
+     */
+    async checkReminder(now = Date.now()) {
+        await this.ready;
+
+        if (!WocabeeState.settings.reminders) return;
+        if (new Date(now).getHours() < WocabeeConfig.reminders.earliestHour) return;
+
+        const today = WocabeeProgress.dayKey(now);
+        const data = await chrome.storage.local.get(WocabeeConfig.storage.reminderDay);
+        if (data[WocabeeConfig.storage.reminderDay] === today) return;
+
+        const { done, goal, due } = WocabeeProgress.getGoalProgress(now);
+        this.log('Reminder check', { done, goal, due });
+        if (due === 0 || done >= goal) return;
+
+        try {
+            await chrome.notifications.create(WocabeeConfig.reminders.alarmName, {
+                type: 'basic',
+                iconUrl: await this.getIconUrl(),
+                title: `${due} ${due === 1 ? 'word is' : 'words are'} due for review`,
+                message: done > 0
+                    ? `${done} of ${goal} reviews done today - keep going!`
+                    : `Your daily goal is ${goal} reviews. Click to start.`,
+                priority: 0
+            });
+        } catch (error) {
+            // Not marked as shown - the next hourly check tries again
+            this.log('Reminder failed:', error);
+            return;
+        }
+        await chrome.storage.local.set({ [WocabeeConfig.storage.reminderDay]: today });
+    },
+
+    /**
+     * Take the daily database snapshot, piggybacking on the hourly reminder alarm
+     */
+    async checkSnapshot(now = Date.now()) {
+        await this.ready;
+        // An empty database from a failed migration would rotate out the good snapshots
+        if (WocabeeState.storageError) return;
+        try {
+            await WocabeeSnapshots.checkDaily(now);
+        } catch (error) {
+            this.log('Daily snapshot failed:', error);
+        }
+    },
+
+    /**
+     * Open flashcards with the due reviews
+     */
+    async openReviews() {
+        await chrome.tabs.create({ url: chrome.runtime.getURL('study/flashcards.html?mode=due') });
+    },
+
+    /**
+     * Draw the extension icon as a PNG data URL
+     * Notifications can't show the SVG icons
+     */
+    async getIconUrl() {
+        if (this.iconUrl) return this.iconUrl;
+
+        const canvas = new OffscreenCanvas(128, 128);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#FFB300';
+        context.beginPath();
+        context.arc(64, 64, 60, 0, Math.PI * 2);
+        context.fill();
+        context.font = '64px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText('🐝', 64, 68);
+
+        const blob = await canvas.convertToBlob({ type: 'image/png' });
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+
+        this.iconUrl = `data:image/png;base64,${btoa(binary)}`;
+        return this.iconUrl;
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Background]`, 'color: #607D8B; font-weight: bold;', ...args);
+        }
+    }
+};
+
+WocabeeBackground.init();
@@ -17,6 +17,13 @@ const WocabeeHelper = {
         
         // Initialize state
         await WocabeeState.init();
+        WocabeeTheme.init();
+        
+        // Pick up edits and settings saved from other tabs, the popup or the database editor
+        WocabeeState.watchStorage(() => {
+            this.syncPanelSettings();
+            this.updateStats();
+        });
         
         // Create control panel
         this.createControlPanel();
@@ -75,6 +82,12 @@ const WocabeeHelper = {
         
         this.log('Found translations:', translations);
         
+        // Study-only mode: keep the answer hidden, the observer still collects the word
+        if (WocabeeState.settings.studyOnly) {
+            this.updatePanel('📖 Study-only mode - answers are hidden');
+            return;
+        }
+        
         // Handle based on exercise type
         switch (type) {
             case 'selection':
@@ -112,6 +125,11 @@ const WocabeeHelper = {
         
         this.log('Found translations for spoken word:', translations);
         
+        if (WocabeeState.settings.studyOnly) {
+            this.updatePanel('📖 Study-only mode - answers are hidden');
+            return;
+        }
+        
         // Detect exercise type and show answer
         const type = WocabeeDom.detectExerciseType();
         
@@ -144,15 +162,20 @@ const WocabeeHelper = {
             });
             
             if (isCorrect) {
-                // Highlight the correct answer
-                WocabeeDom.highlightCorrect(option);
                 foundMatch = true;
                 
+                // Highlight the correct answer
+                if (WocabeeState.isHelping('autoHighlight')) {
+                    WocabeeDom.highlightCorrect(option);
+                }
+                
                 // Add tooltip with answer
-                WocabeeDom.addTooltip(option, '✓ Correct!');
+                if (WocabeeState.isHelping('showHints')) {
+                    WocabeeDom.addTooltip(option, '✓ Correct!');
+                }
                 
                 // Auto-click if enabled
-                if (WocabeeState.settings.autoAnswer) {
+                if (WocabeeState.isHelping('autoAnswer')) {
                     setTimeout(() => {
                         WocabeeDom.click(option);
                     }, WocabeeConfig.timing.autoAnswerDelay);
@@ -161,7 +184,7 @@ const WocabeeHelper = {
         });
         
         if (foundMatch) {
-            WocabeeState.stats.answersHelped++;
+            WocabeeState.recordHelp();
             this.updatePanel(`✓ Answer: ${translations[0]}`);
         } else {
             this.updatePanel(`💡 Try: ${translations.join(' / ')}`);
@@ -181,15 +204,17 @@ const WocabeeHelper = {
         
         // Show hint near input
         const hintText = translations.join(' / ');
-        WocabeeDom.showInputHint(input, hintText);
+        if (WocabeeState.isHelping('showHints')) {
+            WocabeeDom.showInputHint(input, hintText);
+        }
         
         // Update panel
         this.updatePanel(`💡 Answer: ${hintText}`);
         
         // Auto-fill if enabled
-        if (WocabeeState.settings.autoAnswer) {
+        if (WocabeeState.isHelping('autoAnswer')) {
             WocabeeDom.setInputValue(input, translations[0]);
-            WocabeeState.stats.answersHelped++;
+            WocabeeState.recordHelp();
         }
     },
 
@@ -210,7 +235,7 @@ const WocabeeHelper = {
                 t.toLowerCase().includes(optionText)
             );
             
-            if (isCorrect) {
+            if (isCorrect && WocabeeState.isHelping('autoHighlight')) {
                 WocabeeDom.highlightCorrect(option);
             }
         });
@@ -263,6 +288,7 @@ const WocabeeHelper = {
         
         this.controlPanel = WocabeeDom.create('div', {
             className: 'wh-panel',
+            ...WocabeeTheme.attributes(),
             html: `
                 <div class="wh-panel-header">
                     <span class="wh-panel-title">🐝 WocabeeHelper</span>
@@ -288,7 +314,6 @@ const WocabeeHelper = {
                     <div class="wh-panel-buttons">
                         <button class="wh-btn" id="wh-reprocess">🔄 Refresh</button>
                         <button class="wh-btn" id="wh-export">📥 Export</button>
-                        <button class="wh-btn wh-btn-danger" id="wh-clear">🗑️ Clear DB</button>
                     </div>
                 </div>
             `
@@ -299,6 +324,9 @@ const WocabeeHelper = {
         // Setup panel interactions
         this.setupPanelInteractions();
         
+        // Show study-only mode and auto mode
+        this.syncPanelSettings();
+        
         // Update stats display
         this.updateStats();
     },
@@ -320,16 +348,14 @@ const WocabeeHelper = {
         const autoHighlight = this.controlPanel.querySelector('#wh-auto-highlight');
         autoHighlight.checked = WocabeeState.settings.autoHighlight;
         autoHighlight.addEventListener('change', (e) => {
-            WocabeeState.settings.autoHighlight = e.target.checked;
-            WocabeeState.saveToStorage();
+            WocabeeState.saveSettings({ autoHighlight: e.target.checked });
         });
         
         // Show hints toggle
         const showHints = this.controlPanel.querySelector('#wh-show-hints');
         showHints.checked = WocabeeState.settings.showHints;
         showHints.addEventListener('change', (e) => {
-            WocabeeState.settings.showHints = e.target.checked;
-            WocabeeState.saveToStorage();
+            WocabeeState.saveSettings({ showHints: e.target.checked });
             if (!e.target.checked) {
                 WocabeeDom.clearHighlights();
             }
@@ -339,8 +365,7 @@ const WocabeeHelper = {
         const autoAnswer = this.controlPanel.querySelector('#wh-auto-answer');
         autoAnswer.checked = WocabeeState.settings.autoAnswer;
         autoAnswer.addEventListener('change', (e) => {
-            WocabeeState.settings.autoAnswer = e.target.checked;
-            WocabeeState.saveToStorage();
+            WocabeeState.saveSettings({ autoAnswer: e.target.checked });
             if (e.target.checked) {
                 this.showNotification('⚠️ Auto-answer enabled!', 'warning');
             }
@@ -358,15 +383,6 @@ const WocabeeHelper = {
             this.exportDatabase();
         });
         
-        // Clear button
-        this.controlPanel.querySelector('#wh-clear').addEventListener('click', () => {
-            if (confirm('Are you sure you want to clear the word database?')) {
-                WocabeeState.clearDatabase();
-                this.updateStats();
-                this.showNotification('🗑️ Database cleared!', 'warning');
-            }
-        });
-        
         // Make panel draggable
         this.makeDraggable(this.controlPanel);
     },
@@ -464,16 +480,16 @@ const WocabeeHelper = {
                         break;
                         
                     case 'updateSettings':
+                        // Already saved by the popup, just apply them
                         if (message.settings) {
                             WocabeeState.settings = { ...WocabeeState.settings, ...message.settings };
                             this.syncPanelSettings();
-                            WocabeeState.saveToStorage();
+                            WocabeeTheme.apply();
                         }
                         sendResponse({ success: true });
                         break;
                         
-                    case 'clearDatabase':
-                        WocabeeState.clearDatabase();
+                    case 'databaseCleared':
                         this.updateStats();
                         this.showNotification('🗑️ Database cleared!', 'warning');
                         sendResponse({ success: true });
@@ -500,8 +516,16 @@ const WocabeeHelper = {
         if (showHints) showHints.checked = WocabeeState.settings.showHints;
         if (autoAnswer) autoAnswer.checked = WocabeeState.settings.autoAnswer;
         
+        // Study-only mode locks the answer helpers
+        const studyOnly = !!WocabeeState.settings.studyOnly;
+        [autoHighlight, showHints, autoAnswer].forEach(checkbox => {
+            if (checkbox) checkbox.disabled = studyOnly;
+        });
+        this.controlPanel?.classList.toggle('wh-study-only', studyOnly);
+        if (studyOnly) WocabeeDom.clearHighlights();
+        
         // Apply auto mode styling
-        if (WocabeeState.settings.autoAnswer) {
+        if (WocabeeState.isHelping('autoAnswer')) {
             this.controlPanel?.classList.add('wh-auto-mode');
         } else {
             this.controlPanel?.classList.remove('wh-auto-mode');
@@ -517,6 +541,7 @@ const WocabeeHelper = {
         
         const notification = WocabeeDom.create('div', {
             className: `wh-notification wh-notification-${type}`,
+            ...WocabeeTheme.attributes(),
             text: message
         });
         
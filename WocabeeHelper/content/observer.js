@@ -120,7 +120,7 @@ const WocabeeObserver = {
         const pairs = WocabeeDom.extractWordPairs();
         
         if (pairs.length > 0) {
-            const added = WocabeeState.addWords(pairs);
+            const added = WocabeeState.addWords(pairs, WocabeeDom.getPackageInfo());
             if (added > 0) {
                 this.log(`Indexed ${added} new word pairs`);
                 this.showIndexingNotification(added);
@@ -177,7 +177,7 @@ const WocabeeObserver = {
         const correctAnswer = this.findCorrectAnswer();
         
         if (correctAnswer && correctAnswer.length > 0) {
-            const added = WocabeeState.addWord(this.lastQuestion, correctAnswer);
+            const added = WocabeeState.addWord(this.lastQuestion, correctAnswer, WocabeeDom.getPackageInfo());
             if (added) {
                 this.log(`Learned from correct: "${this.lastQuestion}" -> "${correctAnswer}"`);
                 this.showLearningNotification(this.lastQuestion, correctAnswer, 'correct');
@@ -201,11 +201,14 @@ const WocabeeObserver = {
         const correctAnswer = this.findRevealedAnswer();
         
         if (correctAnswer && correctAnswer.length > 0) {
-            const added = WocabeeState.addWord(this.lastQuestion, correctAnswer);
+            const added = WocabeeState.addWord(this.lastQuestion, correctAnswer, WocabeeDom.getPackageInfo());
             if (added) {
                 this.log(`Learned from correction: "${this.lastQuestion}" -> "${correctAnswer}"`);
                 this.showLearningNotification(this.lastQuestion, correctAnswer, 'correction');
             }
+
+            // Remember the miss, these words are worth drilling
+            WocabeeState.recordMistake(this.lastQuestion, correctAnswer);
         }
         
         this.isWaitingForResult = false;
@@ -325,6 +328,7 @@ const WocabeeObserver = {
         
         const notification = WocabeeDom.create('div', {
             className: `wh-notification wh-notification-${type === 'correct' ? 'success' : 'info'}`,
+            ...WocabeeTheme.attributes(),
             html: `${icon} ${label}: <strong>"${question}"</strong> → <strong>"${answer}"</strong>`
         });
         
@@ -352,6 +356,7 @@ const WocabeeObserver = {
         
         const notification = WocabeeDom.create('div', {
             className: 'wh-notification',
+            ...WocabeeTheme.attributes(),
             html: `📚 Indexed <strong>${count}</strong> new words! (Total: ${WocabeeState.wordDatabase.size})`
         });
         
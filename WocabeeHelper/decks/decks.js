@@ -0,0 +1,191 @@
+/**
+ * WocabeeHelper Decks Page
+ * Create decks and type or paste word pairs into them
+ */
+
+const WocabeeDeckEditor = {
+    // Pairs parsed from the text box, waiting to be added
+    parsed: { pairs: [], invalid: [] },
+
+    /**
+     * Initialize the page
+     */
+    async init() {
+        await WocabeeState.init();
+        WocabeeTheme.init();
+
+        // Words added from another tab show up in the deck list right away
+        WocabeeState.watchStorage(() => this.renderDecks());
+
+        this.setupLanguages();
+        this.setupEventListeners();
+
+        // Add to a deck passed in the URL (?deck=...)
+        const requested = new URLSearchParams(location.search).get('deck');
+        if (requested) document.getElementById('deck').value = requested;
+
+        this.renderDecks();
+        this.parse();
+    },
+
+    /**
+     * Fill the language dropdowns - the translations default to the student's own language
+     */
+    setupLanguages() {
+        const foreign = document.getElementById('foreign-language');
+        const native = document.getElementById('native-language');
+
+        Object.entries(WocabeeConfig.languages.known).forEach(([code, { name }]) => {
+            foreign.appendChild(new Option(name, code));
+            native.appendChild(new Option(name, code));
+        });
+        native.value = WocabeeConfig.languages.native;
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('words').addEventListener('input', () => this.parse());
+        document.getElementById('deck').addEventListener('input', () => this.parse());
+        document.getElementById('btn-add').addEventListener('click', () => this.add());
+
+        // Picking an existing deck picks its languages too
+        document.getElementById('deck').addEventListener('change', (e) => {
+            const deck = WocabeeDecks.getDecks().find(({ name }) => name === e.target.value.trim());
+            if (deck?.languages) {
+                document.getElementById('foreign-language').value = WocabeeLanguages.fromLabel(deck.languages[0]) || '';
+                document.getElementById('native-language').value = WocabeeLanguages.fromLabel(deck.languages[1]) || WocabeeConfig.languages.native;
+            }
+        });
+    },
+
+    /**
+     * Parse the text box and show what would be added
+     */
+    parse() {
+        this.parsed = WocabeeDecks.parse(document.getElementById('words').value);
+        const { pairs, invalid } = this.parsed;
+
+        const summary = [];
+        if (pairs.length > 0) summary.push(`${pairs.length} ${pairs.length === 1 ? 'pair' : 'pairs'} ready`);
+        if (invalid.length > 0) summary.push(`${invalid.length} ${invalid.length === 1 ? 'line' : 'lines'} skipped`);
+        document.getElementById('parse-summary').textContent = summary.join(', ');
+
+        const list = document.getElementById('invalid');
+        list.innerHTML = '';
+        invalid.slice(0, 50).forEach(({ line, text, reason }) => {
+            const item = document.createElement('li');
+            item.textContent = `Line ${line}: "${text}" - ${reason}`;
+            list.appendChild(item);
+        });
+
+        const hasDeck = document.getElementById('deck').value.trim() !== '';
+        document.getElementById('btn-add').disabled = pairs.length === 0 || !hasDeck;
+    },
+
+    /**
+     * Add the parsed pairs to the deck
+     */
+    add() {
+        const deck = document.getElementById('deck').value;
+        const foreign = document.getElementById('foreign-language').value;
+        const native = document.getElementById('native-language').value;
+        const languages = foreign && native && foreign !== native
+            ? [WocabeeLanguages.getName(foreign), WocabeeLanguages.getName(native)]
+            : null;
+
+        try {
+            const { pairs } = this.parsed;
+            const added = WocabeeDecks.add(deck, pairs, languages);
+            const known = pairs.length - added;
+            this.showStatus(`✓ Added ${added} new ${added === 1 ? 'pair' : 'pairs'} to "${deck.trim()}"` +
+                (known > 0 ? ` - ${known} already saved ${known === 1 ? 'pair is' : 'pairs are'} in the deck now too` : ''));
+
+            document.getElementById('words').value = '';
+            this.parse();
+            this.renderDecks();
+        } catch (error) {
+            this.showStatus(`⚠️ ${error.message}`, true);
+        }
+    },
+
+    /**
+     * Render the list of decks made by hand
+     */
+    renderDecks() {
+        const decks = WocabeeDecks.getDecks();
+        const words = decks.reduce((sum, { count }) => sum + count, 0);
+        document.getElementById('summary').textContent = decks.length > 0
+            ? `${decks.length} ${decks.length === 1 ? 'deck' : 'decks'} · ${words} words`
+            : '';
+
+        const names = document.getElementById('deck-names');
+        names.innerHTML = '';
+        decks.forEach(({ name }) => names.appendChild(new Option(name)));
+
+        const tbody = document.getElementById('decks');
+        tbody.innerHTML = '';
+        decks.forEach(deck => {
+            const tr = document.createElement('tr');
+            tr.appendChild(this.createCell(deck.name));
+            tr.appendChild(this.createCell(deck.count));
+            tr.appendChild(this.createCell(this.formatLanguages(deck.languages), 'decks-muted'));
+
+            const actions = this.createCell('');
+            const wrapper = document.createElement('div');
+            wrapper.className = 'decks-actions';
+            const query = `?mode=all&package=${encodeURIComponent(deck.name)}`;
+            wrapper.appendChild(this.createLink('🃏 Flashcards', `../study/flashcards.html${query}`));
+            wrapper.appendChild(this.createLink('⌨️ Quiz', `../study/quiz.html${query}`));
+            actions.appendChild(wrapper);
+            tr.appendChild(actions);
+
+            tbody.appendChild(tr);
+        });
+
+        document.getElementById('decks-table').hidden = decks.length === 0;
+        document.getElementById('decks-empty').hidden = decks.length > 0;
+    },
+
+    /**
+     * Show the result of the last action under the text box
+     */
+    showStatus(text, isError = false) {
+        const status = document.getElementById('status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+        status.hidden = false;
+    },
+
+    /**
+     * Describe a deck's [foreign, native] languages
+     */
+    formatLanguages(languages) {
+        return languages ? languages.join(' → ') : 'Detected';
+    },
+
+    /**
+     * Create a table cell
+     */
+    createCell(text, className = '') {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+    },
+
+    /**
+     * Create a button-styled link
+     */
+    createLink(text, href) {
+        const link = document.createElement('a');
+        link.className = 'btn';
+        link.textContent = text;
+        link.href = href;
+        return link;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => WocabeeDeckEditor.init());
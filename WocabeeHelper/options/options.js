@@ -0,0 +1,512 @@
+/**
+ * WocabeeHelper Database Editor
+ * Browse, search, edit and delete indexed word pairs, and review suspicious ones
+ */
+
+const WocabeeOptions = {
+    rows: [],
+    filtered: [],
+    sortKey: 'source',
+    sortAscending: true,
+    page: 0,
+    editingKey: null,
+
+    // Set when saved data changed while a row was being edited
+    isStale: false,
+
+    /**
+     * Initialize the page
+     */
+    async init() {
+        await WocabeeState.init();
+        WocabeeTheme.init();
+        await WocabeeScheduler.init();
+        await WocabeeAuditor.init();
+
+        // Words indexed in an open Wocabee tab show up here right away
+        WocabeeState.watchStorage(() => this.onStorageChange());
+        WocabeeAuditor.watchStorage(() => this.onStorageChange());
+
+        // Open straight into the review list with ?view=review
+        const view = new URLSearchParams(window.location.search).get('view');
+        if (view === 'review') {
+            document.getElementById('view').value = view;
+        }
+
+        this.setupEventListeners();
+        this.refresh();
+    },
+
+    /**
+     * Show changes saved elsewhere - but not under a row being edited,
+     * which would lose what was typed. The list catches up when the edit ends
+     */
+    onStorageChange() {
+        if (this.editingKey) {
+            this.isStale = true;
+            return;
+        }
+        this.refresh();
+    },
+
+    /**
+     * Rebuild the row list from the database
+     */
+    refresh() {
+        this.isStale = false;
+        const flagged = WocabeeAuditor.audit();
+
+        this.rows = WocabeeState.getPairs().map(([source, target]) => {
+            const meta = WocabeeState.getMeta(source, target);
+            const key = WocabeeState.pairKey(source, target);
+            const issues = flagged.get(key) || [];
+            return {
+                key,
+                source,
+                target,
+                package: WocabeeState.getPackageNames(meta).join(', '),
+                details: WocabeeState.getDetails(source, target),
+                firstSeen: meta?.firstSeen || 0,
+                issues,
+                issueCount: issues.length
+            };
+        });
+        this.apply();
+    },
+
+    /**
+     * Filter, sort and render the current page
+     */
+    apply() {
+        const query = document.getElementById('search').value;
+        const simpleQuery = this.simplify(query);
+        const reviewOnly = document.getElementById('view').value === 'review';
+
+        // Match cost of each matching word - package names and tags only match as text
+        const costs = new Map(WocabeeSearch.search(query).map(({ text, cost }) => [text, cost]));
+        const costOf = (row) => Math.min(
+            costs.get(row.source) ?? Infinity,
+            costs.get(row.target) ?? Infinity
+        );
+
+        this.filtered = this.rows.filter(row => (!reviewOnly || row.issueCount > 0) && (!simpleQuery ||
+            costOf(row) < Infinity ||
+            this.simplify(row.package).includes(simpleQuery) ||
+            row.details.tags.some(tag => this.simplify(tag).includes(simpleQuery.replace(/^#/, '')))
+        ));
+
+        // Closest matches first while searching, then the chosen column
+        const direction = this.sortAscending ? 1 : -1;
+        const key = this.sortKey;
+        this.filtered.sort((a, b) => {
+            if (simpleQuery && costOf(a) !== costOf(b)) {
+                return costOf(a) - costOf(b);
+            }
+            const result = typeof a[key] === 'number'
+                ? a[key] - b[key]
+                : a[key].localeCompare(b[key]);
+            return result * direction || a.source.localeCompare(b.source);
+        });
+
+        this.page = Math.min(this.page, Math.max(0, this.getPageCount() - 1));
+        this.render();
+    },
+
+    /**
+     * Lowercase and strip accents for searching
+     */
+    simplify(text) {
+        return WocabeeGrader.stripDiacritics((text || '').toLowerCase().trim());
+    },
+
+    /**
+     * Get the number of entries per page
+     */
+    getPageSize() {
+        return parseInt(document.getElementById('page-size').value, 10);
+    },
+
+    /**
+     * Get the number of pages for the filtered rows
+     */
+    getPageCount() {
+        return Math.ceil(this.filtered.length / this.getPageSize());
+    },
+
+    /**
+     * Render the rows of the current page
+     */
+    render() {
+        const tbody = document.getElementById('rows');
+        const pageSize = this.getPageSize();
+        const pageRows = this.filtered.slice(this.page * pageSize, (this.page + 1) * pageSize);
+
+        tbody.innerHTML = '';
+        pageRows.forEach(row => {
+            tbody.appendChild(row.key === this.editingKey ? this.renderEditRows(row) : this.renderRow(row));
+        });
+
+        // Sort indicators
+        document.querySelectorAll('th[data-sort]').forEach(th => {
+            th.classList.toggle('sorted', th.dataset.sort === this.sortKey);
+            th.classList.toggle('descending', th.dataset.sort === this.sortKey && !this.sortAscending);
+        });
+
+        // Empty state
+        const isEmpty = this.filtered.length === 0;
+        document.getElementById('empty').hidden = !isEmpty;
+        const reviewOnly = document.getElementById('view').value === 'review';
+        document.getElementById('empty-message').textContent = this.rows.length === 0
+            ? 'No words indexed yet - browse your Wocabee packages first!'
+            : reviewOnly && !document.getElementById('search').value
+                ? 'Nothing to review - every pair looks fine.'
+                : 'No words match your search.';
+
+        // Pager
+        const pageCount = this.getPageCount();
+        document.getElementById('page-info').textContent = isEmpty
+            ? ''
+            : `Page ${this.page + 1} of ${pageCount}`;
+        document.getElementById('btn-prev').disabled = this.page === 0;
+        document.getElementById('btn-next').disabled = this.page >= pageCount - 1;
+
+        const flaggedCount = this.rows.filter(row => row.issueCount > 0).length;
+        const summary = this.filtered.length === this.rows.length
+            ? `${this.rows.length} pairs`
+            : `${this.filtered.length} of ${this.rows.length} pairs`;
+        document.getElementById('summary').textContent = flaggedCount
+            ? `${summary} · ${flaggedCount} to review`
+            : summary;
+    },
+
+    /**
+     * Render a read-only row
+     */
+    renderRow(row) {
+        const tr = document.createElement('tr');
+        tr.appendChild(this.createCell(row.source));
+        tr.appendChild(this.createCell(row.target));
+        tr.appendChild(this.createCell(row.package, 'db-muted'));
+        tr.appendChild(this.createDetailsCell(row));
+        tr.appendChild(this.createCell(row.firstSeen ? new Date(row.firstSeen).toLocaleDateString() : '', 'db-muted'));
+        tr.appendChild(this.createIssuesCell(row));
+
+        const actions = this.createCell('', 'db-actions');
+        if (row.issueCount > 0) {
+            actions.appendChild(this.createButton('👍', 'Looks fine - stop flagging', () => this.ignoreRow(row)));
+        }
+        actions.appendChild(this.createButton('✏️', 'Edit', () => this.startEdit(row.key)));
+        actions.appendChild(this.createButton('🗑️', 'Delete', () => this.deleteRow(row)));
+        tr.appendChild(actions);
+
+        return tr;
+    },
+
+    /**
+     * Render a row with inputs for inline editing, and a second row for its details
+     */
+    renderEditRows(row) {
+        const fragment = document.createDocumentFragment();
+        const tr = document.createElement('tr');
+        tr.className = 'db-editing';
+
+        const sourceInput = this.createInput(row.source);
+        const targetInput = this.createInput(row.target);
+        const detailsRow = this.renderDetailsEditor(row);
+        const save = () => this.saveEdit(row, sourceInput.value, targetInput.value, this.readDetails(detailsRow));
+
+        [sourceInput, targetInput].forEach(input => {
+            const td = this.createCell('');
+            td.appendChild(input);
+            tr.appendChild(td);
+        });
+
+        // Enter saves from any single-line field, Escape cancels from anywhere
+        [tr, detailsRow].forEach(element => {
+            element.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && e.target.tagName === 'INPUT') save();
+                if (e.key === 'Escape') this.cancelEdit();
+            });
+        });
+
+        tr.appendChild(this.createCell(row.package, 'db-muted'));
+        tr.appendChild(this.createCell(''));
+        tr.appendChild(this.createCell(row.firstSeen ? new Date(row.firstSeen).toLocaleDateString() : '', 'db-muted'));
+        tr.appendChild(this.createIssuesCell(row));
+
+        const actions = this.createCell('', 'db-actions');
+        actions.appendChild(this.createButton('✓', 'Save', save));
+        actions.appendChild(this.createButton('✗', 'Cancel', () => this.cancelEdit()));
+        tr.appendChild(actions);
+
+        fragment.appendChild(tr);
+        fragment.appendChild(detailsRow);
+        setTimeout(() => sourceInput.focus(), 0);
+        return fragment;
+    },
+
+    /**
+     * Render the details form shown under a row being edited
+     */
+    renderDetailsEditor(row) {
+        const tr = document.createElement('tr');
+        tr.className = 'db-editing db-details-row';
+        const td = this.createCell('');
+        td.colSpan = 7;
+        tr.appendChild(td);
+
+        const form = document.createElement('div');
+        form.className = 'db-details-editor';
+        td.appendChild(form);
+
+        const field = (label, control, wide = false) => {
+            const wrapper = document.createElement('label');
+            wrapper.className = wide ? 'db-field db-field-wide' : 'db-field';
+            wrapper.textContent = label;
+            wrapper.appendChild(control);
+            form.appendChild(wrapper);
+        };
+
+        const partOfSpeech = document.createElement('select');
+        partOfSpeech.className = 'db-input';
+        partOfSpeech.dataset.field = 'partOfSpeech';
+        [['', '—'], ...Object.entries(WocabeeConfig.partsOfSpeech)].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            partOfSpeech.appendChild(option);
+        });
+        partOfSpeech.value = row.details.partOfSpeech || '';
+        field('Part of speech', partOfSpeech);
+
+        const tags = this.createInput(row.details.tags.join(', '));
+        tags.dataset.field = 'tags';
+        tags.placeholder = 'Comma separated, e.g. irregular, food';
+        field('Tags', tags);
+
+        const notes = this.createTextArea(row.details.notes, 'Mnemonic, grammar, anything that helps you remember');
+        notes.dataset.field = 'notes';
+        field('Notes', notes, true);
+
+        const examples = this.createTextArea(row.details.examples.join('\n'), 'One example sentence per line');
+        examples.dataset.field = 'examples';
+        field('Example sentences', examples, true);
+
+        return tr;
+    },
+
+    /**
+     * Read the details form of a row being edited
+     */
+    readDetails(detailsRow) {
+        const value = (field) => detailsRow.querySelector(`[data-field="${field}"]`).value;
+        return {
+            partOfSpeech: value('partOfSpeech') || null,
+            tags: value('tags').split(','),
+            notes: value('notes'),
+            examples: value('examples').split('\n')
+        };
+    },
+
+    /**
+     * Create a table cell
+     */
+    createCell(text, className = '') {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+    },
+
+    /**
+     * Create the cell with a row's part of speech, tags and a note marker
+     */
+    createDetailsCell(row) {
+        const td = this.createCell('');
+        const { partOfSpeech, tags, notes, examples } = row.details;
+
+        if (partOfSpeech) {
+            const badge = document.createElement('span');
+            badge.className = 'db-pos';
+            badge.textContent = WocabeeConfig.partsOfSpeech[partOfSpeech];
+            td.appendChild(badge);
+        }
+        tags.forEach(tag => {
+            const badge = document.createElement('span');
+            badge.className = 'db-tag';
+            badge.textContent = `#${tag}`;
+            td.appendChild(badge);
+        });
+        if (notes || examples.length > 0) {
+            const marker = document.createElement('span');
+            marker.className = 'db-note';
+            marker.textContent = '📝';
+            marker.title = [notes, ...examples].filter(Boolean).join('\n');
+            td.appendChild(marker);
+        }
+        return td;
+    },
+
+    /**
+     * Create the cell listing audit issues, one badge per issue
+     */
+    createIssuesCell(row) {
+        const td = this.createCell('');
+        row.issues.forEach(issue => {
+            const badge = document.createElement('span');
+            badge.className = 'db-issue';
+            badge.textContent = issue.message;
+            td.appendChild(badge);
+        });
+        return td;
+    },
+
+    /**
+     * Create a small icon button
+     */
+    createButton(icon, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'db-icon-btn';
+        button.textContent = icon;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    /**
+     * Create an inline edit input
+     */
+    createInput(value) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'db-input';
+        input.value = value;
+        input.spellcheck = false;
+        return input;
+    },
+
+    /**
+     * Create a multi-line input for the details form
+     */
+    createTextArea(value, placeholder) {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'db-input';
+        textarea.rows = 2;
+        textarea.value = value;
+        textarea.placeholder = placeholder;
+        return textarea;
+    },
+
+    /**
+     * Switch a row into edit mode
+     */
+    startEdit(key) {
+        this.editingKey = key;
+        this.render();
+    },
+
+    /**
+     * Leave edit mode without saving
+     */
+    cancelEdit() {
+        this.editingKey = null;
+        if (this.isStale) {
+            this.refresh();
+        } else {
+            this.render();
+        }
+    },
+
+    /**
+     * Save an edited row and its details
+     * The table is redrawn once the review history has moved along with the pair
+     */
+    async saveEdit(row, source, target, details) {
+        if (!WocabeeState.updateWord(row.source, row.target, source, target)) {
+            alert('That doesn\'t look like a valid word pair - both sides need at least 2 letters and must differ.');
+            return;
+        }
+
+        WocabeeState.updateDetails(source, target, details);
+        try {
+            await WocabeeScheduler.moveRecord(row.source, row.target, source, target);
+        } catch (error) {
+            alert(`The word was saved, but its review history could not be moved: ${error.message}`);
+        }
+        this.editingKey = null;
+        this.refresh();
+    },
+
+    /**
+     * Delete a row after confirmation
+     * The table is redrawn once the review history is gone too
+     */
+    async deleteRow(row) {
+        if (!confirm(`Delete "${row.source}" → "${row.target}"?`)) return;
+
+        WocabeeState.removeWord(row.source, row.target);
+        try {
+            await WocabeeScheduler.removeRecord(row.source, row.target);
+        } catch (error) {
+            alert(`The word was deleted, but its review history could not be removed: ${error.message}`);
+        }
+        this.refresh();
+    },
+
+    /**
+     * Keep a flagged row as it is
+     */
+    async ignoreRow(row) {
+        await WocabeeAuditor.ignore(row.source, row.target);
+        this.refresh();
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('search').addEventListener('input', () => {
+            this.page = 0;
+            this.apply();
+        });
+
+        document.getElementById('view').addEventListener('change', () => {
+            this.page = 0;
+            this.apply();
+        });
+
+        document.getElementById('page-size').addEventListener('change', () => {
+            this.page = 0;
+            this.render();
+        });
+
+        document.getElementById('btn-prev').addEventListener('click', () => {
+            this.page = Math.max(0, this.page - 1);
+            this.render();
+        });
+
+        document.getElementById('btn-next').addEventListener('click', () => {
+            this.page = Math.min(this.getPageCount() - 1, this.page + 1);
+            this.render();
+        });
+
+        // Click a column header to sort, click again to reverse
+        document.querySelectorAll('th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => {
+                if (this.sortKey === th.dataset.sort) {
+                    this.sortAscending = !this.sortAscending;
+                } else {
+                    this.sortKey = th.dataset.sort;
+                    this.sortAscending = true;
+                }
+                this.apply();
+            });
+        });
+    }
+};
+
+// Make it available globally
+window.WocabeeOptions = WocabeeOptions;
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => WocabeeOptions.init());
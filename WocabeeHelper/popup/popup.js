@@ -3,62 +3,103 @@
  * Controls the browser toolbar popup
  */
 
-// Storage keys (same as in config.js)
-const STORAGE_KEYS = {
-    wordDatabase: 'wh_word_database',
-    settings: 'wh_settings',
-    stats: 'wh_stats'
-};
-
-// Default settings
-const DEFAULT_SETTINGS = {
-    autoHighlight: true,
-    showHints: true,
-    autoAnswer: false
-};
-
 /**
  * Initialize popup
  */
 async function init() {
+    await WocabeeState.init();
+    WocabeeTheme.init();
     await loadSettings();
     await loadStats();
+    await loadGoal();
     await checkStatus();
     setupEventListeners();
 }
 
 /**
- * Load settings from storage
+ * Show the saved settings
  */
 async function loadSettings() {
+    const settings = WocabeeState.settings;
+
+    document.getElementById('setting-highlight').checked = settings.autoHighlight;
+    document.getElementById('setting-hints').checked = settings.showHints;
+    document.getElementById('setting-auto').checked = settings.autoAnswer;
+    document.getElementById('setting-reminders').checked = settings.reminders;
+    document.getElementById('setting-goal').value = settings.dailyGoal;
+    document.getElementById('setting-theme').value = WocabeeTheme.get();
+    showStudyOnly();
+}
+
+/**
+ * Show study-only mode, which locks the answer helpers, and its PIN lock
+ */
+function showStudyOnly(error = '') {
+    const { studyOnly, studyOnlyLocked } = WocabeeState.settings;
+
+    document.getElementById('setting-study-only').checked = studyOnly;
+    ['setting-highlight', 'setting-hints', 'setting-auto'].forEach(id => {
+        const checkbox = document.getElementById(id);
+        checkbox.disabled = studyOnly;
+        checkbox.closest('.setting-item').classList.toggle('locked', studyOnly);
+    });
+
+    const pin = document.getElementById('setting-study-pin');
+    pin.value = '';
+    pin.hidden = studyOnly && !studyOnlyLocked;
+
+    const note = document.getElementById('study-only-note');
+    note.classList.toggle('error', !!error);
+    if (error) {
+        note.textContent = error;
+    } else if (!studyOnly) {
+        note.textContent = 'Optional PIN to lock it on';
+    } else if (studyOnlyLocked) {
+        note.textContent = '🔒 Enter the PIN to turn it off';
+    } else {
+        note.textContent = 'Answers are hidden, words are still collected';
+    }
+}
+
+/**
+ * Turn study-only mode on or off through the background
+ * The background checks the PIN, so a wrong one leaves the mode as it was
+ */
+async function toggleStudyOnly() {
+    const enabled = document.getElementById('setting-study-only').checked;
+    const pin = document.getElementById('setting-study-pin').value.trim();
+
+    if (pin && !WocabeeConfig.studyOnly.pinPattern.test(pin)) {
+        showStudyOnly('The PIN must be 4 to 8 digits');
+        return;
+    }
+
     try {
-        const data = await chrome.storage.local.get(STORAGE_KEYS.settings);
-        const settings = data[STORAGE_KEYS.settings] 
-            ? JSON.parse(data[STORAGE_KEYS.settings]) 
-            : DEFAULT_SETTINGS;
-
-        document.getElementById('setting-highlight').checked = settings.autoHighlight ?? true;
-        document.getElementById('setting-hints').checked = settings.showHints ?? true;
-        document.getElementById('setting-auto').checked = settings.autoAnswer ?? false;
+        await WocabeeState.setStudyOnly(enabled, pin);
+        sendToContentScript({ action: 'updateSettings', settings: WocabeeState.settings });
+        showStudyOnly();
     } catch (error) {
-        console.error('Error loading settings:', error);
+        showStudyOnly(error.message);
     }
 }
 
 /**
- * Save settings to storage
+ * Save settings through the background
  */
 async function saveSettings() {
+    const goal = parseInt(document.getElementById('setting-goal').value, 10);
     const settings = {
         autoHighlight: document.getElementById('setting-highlight').checked,
         showHints: document.getElementById('setting-hints').checked,
-        autoAnswer: document.getElementById('setting-auto').checked
+        autoAnswer: document.getElementById('setting-auto').checked,
+        reminders: document.getElementById('setting-reminders').checked,
+        dailyGoal: goal > 0 ? goal : WocabeeConfig.defaults.dailyGoal,
+        theme: document.getElementById('setting-theme').value
     };
 
     try {
-        await chrome.storage.local.set({
-            [STORAGE_KEYS.settings]: JSON.stringify(settings)
-        });
+        // Settings the popup doesn't show are kept
+        await WocabeeState.saveSettings(settings);
         
         // Notify content script
         sendToContentScript({ action: 'updateSettings', settings });
@@ -71,29 +112,26 @@ async function saveSettings() {
  * Load statistics
  */
 async function loadStats() {
+    document.getElementById('stat-words').textContent = WocabeeState.wordDatabase.size;
+    document.getElementById('stat-helped').textContent = WocabeeState.stats.answersHelped;
+}
+
+/**
+ * Show today's reviews against the daily goal
+ */
+async function loadGoal() {
     try {
-        const data = await chrome.storage.local.get([
-            STORAGE_KEYS.wordDatabase,
-            STORAGE_KEYS.stats
-        ]);
-
-        // Word count
-        let wordCount = 0;
-        if (data[STORAGE_KEYS.wordDatabase]) {
-            const db = JSON.parse(data[STORAGE_KEYS.wordDatabase]);
-            wordCount = Object.keys(db).length;
-        }
-        document.getElementById('stat-words').textContent = wordCount;
+        await WocabeeScheduler.init();
 
-        // Helped count
-        let helpedCount = 0;
-        if (data[STORAGE_KEYS.stats]) {
-            const stats = JSON.parse(data[STORAGE_KEYS.stats]);
-            helpedCount = stats.answersHelped || 0;
-        }
-        document.getElementById('stat-helped').textContent = helpedCount;
+        const { done, goal, due } = WocabeeProgress.getGoalProgress();
+        const fill = document.getElementById('goal-fill');
+        document.getElementById('goal-text').textContent = due > 0
+            ? `${done} / ${goal} reviews · ${due} due`
+            : `${done} / ${goal} reviews`;
+        fill.style.width = `${Math.min(100, Math.round(done / goal * 100))}%`;
+        fill.classList.toggle('done', done >= goal);
     } catch (error) {
-        console.error('Error loading stats:', error);
+        console.error('Error loading goal:', error);
     }
 }
 
@@ -104,6 +142,13 @@ async function checkStatus() {
     const statusEl = document.getElementById('status');
     const statusText = statusEl.querySelector('.status-text');
 
+    // Nothing is saved until the saved words can be migrated - that matters more than the tab
+    if (WocabeeState.storageError) {
+        statusEl.classList.add('inactive');
+        statusText.textContent = `⚠️ Saved words could not be loaded, nothing is saved: ${WocabeeState.storageError}`;
+        return;
+    }
+
     try {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         
@@ -139,6 +184,160 @@ async function sendToContentScript(message) {
     }
 }
 
+/**
+ * Download text content as a file
+ */
+function downloadFile(content, mimeType, filename) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+
+    URL.revokeObjectURL(url);
+}
+
+// JSON of the file waiting for merge confirmation
+let pendingImport = null;
+
+/**
+ * Read the chosen file and show what merging it would change
+ */
+async function previewImport(file) {
+    const title = document.getElementById('import-title');
+    const counts = document.querySelector('.import-counts');
+    const conflictList = document.getElementById('import-conflicts');
+    const mergeButton = document.getElementById('btn-import-merge');
+
+    document.getElementById('import-preview').hidden = false;
+    document.getElementById('btn-import-cancel').textContent = 'Cancel';
+    conflictList.innerHTML = '';
+    pendingImport = null;
+
+    try {
+        const json = await file.text();
+
+        // Compare against the latest saved database
+        await WocabeeState.loadFromStorage();
+        const preview = WocabeeState.previewImport(json);
+
+        title.textContent = `📄 ${file.name}`;
+        title.classList.remove('error');
+        counts.hidden = false;
+        document.getElementById('import-new').textContent = preview.new;
+        document.getElementById('import-duplicate').textContent = preview.duplicate;
+        document.getElementById('import-conflict').textContent = preview.conflict;
+        document.getElementById('import-invalid').textContent = preview.invalid;
+
+        // Conflicts are merged as alternative translations
+        preview.conflicts.slice(0, 20).forEach(({ source, existing, incoming }) => {
+            const item = document.createElement('li');
+            item.textContent = `${source}: ${existing.join(', ')} + ${incoming}`;
+            conflictList.appendChild(item);
+        });
+
+        pendingImport = json;
+        mergeButton.disabled = preview.new + preview.conflict === 0;
+    } catch (error) {
+        console.error('Import preview error:', error);
+        title.textContent = `⚠️ Could not read ${file.name}: ${error.message}`;
+        title.classList.add('error');
+        counts.hidden = true;
+        mergeButton.disabled = true;
+    }
+}
+
+/**
+ * Merge the previewed file into the database
+ */
+async function mergeImport() {
+    if (!pendingImport) return;
+
+    const title = document.getElementById('import-title');
+    document.querySelector('.import-counts').hidden = true;
+    document.getElementById('import-conflicts').innerHTML = '';
+    document.getElementById('btn-import-merge').disabled = true;
+    document.getElementById('btn-import-cancel').textContent = 'Close';
+
+    try {
+        const { imported, snapshot } = await WocabeeState.importDatabase(pendingImport);
+        title.textContent = `✓ Imported ${imported} word pairs`;
+        await loadStats();
+        showUndo(snapshot, `Imported ${imported} word pairs`);
+    } catch (error) {
+        // Nothing was imported - the database is as it was
+        console.error('Import error:', error);
+        title.textContent = `⚠️ Could not import: ${error.message}`;
+        title.classList.add('error');
+    } finally {
+        pendingImport = null;
+    }
+}
+
+/**
+ * Hide the import preview and forget the pending file
+ */
+function closeImportPreview() {
+    pendingImport = null;
+    document.getElementById('import-preview').hidden = true;
+    document.getElementById('import-file').value = '';
+}
+
+// Snapshot taken before the last clear or import, restored by Undo
+let undoSnapshot = null;
+
+/**
+ * Offer to undo a clear or import by restoring the snapshot taken before it
+ */
+function showUndo(snapshot, text) {
+    undoSnapshot = snapshot;
+    document.getElementById('undo-text').textContent = text;
+    document.getElementById('undo-bar').classList.remove('error');
+    document.getElementById('btn-undo').hidden = false;
+    document.getElementById('undo-bar').hidden = !snapshot;
+}
+
+/**
+ * Show why a clear or undo failed - Undo stays only if there is still something to undo
+ */
+function showUndoError(text) {
+    document.getElementById('undo-text').textContent = `⚠️ ${text}`;
+    document.getElementById('undo-bar').classList.add('error');
+    document.getElementById('btn-undo').hidden = !undoSnapshot;
+    document.getElementById('undo-bar').hidden = false;
+}
+
+/**
+ * Restore the snapshot taken before the last clear or import
+ */
+async function undo() {
+    if (!undoSnapshot) return;
+
+    try {
+        await WocabeeSnapshots.restore(undoSnapshot.id);
+        await WocabeeState.loadFromStorage();
+        await loadStats();
+        closeImportPreview();
+        showUndo(null, '');
+    } catch (error) {
+        console.error('Undo error:', error);
+        showUndoError(`Could not undo: ${error.message}`);
+    }
+}
+
+/**
+ * Open an extension page in a new tab
+ */
+async function openPage(path) {
+    try {
+        await chrome.tabs.create({ url: chrome.runtime.getURL(path) });
+    } catch (error) {
+        console.error('Could not open page:', error);
+    }
+}
+
 /**
  * Setup event listeners
  */
@@ -147,54 +346,109 @@ function setupEventListeners() {
     document.getElementById('setting-highlight').addEventListener('change', saveSettings);
     document.getElementById('setting-hints').addEventListener('change', saveSettings);
     document.getElementById('setting-auto').addEventListener('change', saveSettings);
+    document.getElementById('setting-reminders').addEventListener('change', saveSettings);
+    document.getElementById('setting-study-only').addEventListener('change', toggleStudyOnly);
+    document.getElementById('setting-goal').addEventListener('change', async () => {
+        await saveSettings();
+        await loadGoal();
+    });
+    document.getElementById('setting-theme').addEventListener('change', async () => {
+        await saveSettings();
+        WocabeeTheme.apply();
+    });
 
     // Toggle panel button
     document.getElementById('btn-toggle-panel').addEventListener('click', async () => {
         await sendToContentScript({ action: 'togglePanel' });
     });
 
+    // Study pages
+    document.getElementById('btn-flashcards').addEventListener('click', () => {
+        openPage('study/flashcards.html');
+    });
+    document.getElementById('btn-quiz').addEventListener('click', () => {
+        openPage('study/quiz.html');
+    });
+    document.getElementById('btn-selftest').addEventListener('click', () => {
+        openPage('study/selftest.html');
+    });
+    document.getElementById('btn-listen').addEventListener('click', () => {
+        openPage('study/quiz.html?mode=all&direction=listen');
+    });
+    document.getElementById('btn-spelling').addEventListener('click', () => {
+        openPage('study/spelling.html');
+    });
+    document.getElementById('btn-matching').addEventListener('click', () => {
+        openPage('study/matching.html');
+    });
+
+    document.getElementById('btn-stats').addEventListener('click', () => {
+        openPage('stats/stats.html');
+    });
+
+    document.getElementById('btn-drill').addEventListener('click', () => {
+        openPage('study/quiz.html?mode=missed');
+    });
+
     // Refresh button
     document.getElementById('btn-refresh').addEventListener('click', async () => {
         await sendToContentScript({ action: 'refresh' });
+        await WocabeeState.loadFromStorage();
         await loadStats();
     });
 
-    // Export button
+    // Export button - in the format chosen next to it
     document.getElementById('btn-export').addEventListener('click', async () => {
         try {
-            const data = await chrome.storage.local.get(STORAGE_KEYS.wordDatabase);
-            const db = data[STORAGE_KEYS.wordDatabase] || '{}';
-            
-            // Create download
-            const blob = new Blob([db], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `wocabee-words-${new Date().toISOString().split('T')[0]}.json`;
-            a.click();
-            
-            URL.revokeObjectURL(url);
+            await WocabeeState.loadFromStorage();
+            const format = document.getElementById('export-format').value;
+            const { content, mimeType, filename } = WocabeeExporter.export(format);
+            downloadFile(content, mimeType, filename);
         } catch (error) {
             console.error('Export error:', error);
         }
     });
 
+    // Database editor
+    document.getElementById('btn-manage').addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+    });
+
+    // Hand-made decks
+    document.getElementById('btn-decks').addEventListener('click', () => {
+        openPage('decks/decks.html');
+    });
+
+    // Snapshots and undo
+    document.getElementById('btn-snapshots').addEventListener('click', () => {
+        openPage('snapshots/snapshots.html');
+    });
+    document.getElementById('btn-undo').addEventListener('click', undo);
+
+    // Import button - pick a file, preview, then merge
+    document.getElementById('btn-import').addEventListener('click', () => {
+        document.getElementById('import-file').click();
+    });
+    document.getElementById('import-file').addEventListener('change', (e) => {
+        if (e.target.files[0]) previewImport(e.target.files[0]);
+    });
+    document.getElementById('btn-import-merge').addEventListener('click', mergeImport);
+    document.getElementById('btn-import-cancel').addEventListener('click', closeImportPreview);
+
     // Clear database button
     document.getElementById('btn-clear').addEventListener('click', async () => {
-        if (confirm('Are you sure you want to clear all saved words?')) {
+        if (confirm('Are you sure you want to clear all saved words? A snapshot is kept so you can undo it.')) {
             try {
-                await chrome.storage.local.remove([
-                    STORAGE_KEYS.wordDatabase,
-                    STORAGE_KEYS.stats
-                ]);
-                
-                document.getElementById('stat-words').textContent = '0';
-                document.getElementById('stat-helped').textContent = '0';
+                const snapshot = await WocabeeState.clearDatabase();
+                await loadStats();
+                showUndo(snapshot, 'Database cleared');
                 
-                await sendToContentScript({ action: 'clearDatabase' });
+                await sendToContentScript({ action: 'databaseCleared' });
             } catch (error) {
+                // Nothing was cleared, so there is nothing to undo
                 console.error('Clear error:', error);
+                showUndo(null, '');
+                showUndoError(`Could not clear: ${error.message}`);
             }
         }
     });
@@ -0,0 +1,146 @@
+/**
+ * WocabeeHelper Snapshots Page
+ * Lists the saved database snapshots and restores or deletes them
+ */
+
+const WocabeeSnapshotList = {
+    // What each snapshot reason is shown as
+    reasons: {
+        clear: '🗑️ Before Clear DB',
+        import: '📤 Before import',
+        restore: '↩️ Before restore',
+        daily: '📅 Daily'
+    },
+
+    /**
+     * Initialize the page
+     */
+    async init() {
+        await WocabeeState.init();
+        WocabeeTheme.init();
+
+        // Snapshots taken from another tab or the background show up right away
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes[WocabeeConfig.storage.snapshots]) this.render();
+        });
+
+        await this.render();
+    },
+
+    /**
+     * Render the snapshot list, newest first
+     */
+    async render() {
+        const snapshots = await WocabeeSnapshots.list();
+        document.getElementById('summary').textContent = snapshots.length > 0
+            ? `${snapshots.length} ${snapshots.length === 1 ? 'snapshot' : 'snapshots'}`
+            : '';
+
+        if (snapshots.length === 0) {
+            WocabeeStudy.showView('view-empty');
+            return;
+        }
+
+        const tbody = document.getElementById('snapshots');
+        tbody.innerHTML = '';
+        snapshots.forEach(snapshot => {
+            const tr = document.createElement('tr');
+            tr.appendChild(this.createCell(this.formatDate(snapshot.date)));
+            tr.appendChild(this.createCell(this.reasons[snapshot.reason] || snapshot.reason, 'snapshots-muted'));
+            tr.appendChild(this.createCell(snapshot.words.toLocaleString()));
+            tr.appendChild(this.createCell(this.formatSize(snapshot.bytes), 'snapshots-muted'));
+
+            const actions = this.createCell('');
+            const wrapper = document.createElement('div');
+            wrapper.className = 'snapshots-actions';
+            wrapper.appendChild(this.createButton('↩️ Restore', 'btn btn-primary', () => this.restore(snapshot)));
+            wrapper.appendChild(this.createButton('🗑️', 'btn btn-danger', () => this.remove(snapshot)));
+            actions.appendChild(wrapper);
+            tr.appendChild(actions);
+
+            tbody.appendChild(tr);
+        });
+        WocabeeStudy.showView('view-list');
+    },
+
+    /**
+     * Replace the database with a snapshot, after confirming
+     */
+    async restore(snapshot) {
+        const when = this.formatDate(snapshot.date);
+        if (!confirm(`Restore the snapshot from ${when} (${snapshot.words} words)? Your current words are snapshotted first.`)) {
+            return;
+        }
+
+        try {
+            await WocabeeSnapshots.restore(snapshot.id);
+            this.showStatus(`✓ Restored the snapshot from ${when}`);
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showStatus(`⚠️ Could not restore: ${error.message}`, true);
+        }
+    },
+
+    /**
+     * Delete a snapshot, after confirming
+     */
+    async remove(snapshot) {
+        if (!confirm(`Delete the snapshot from ${this.formatDate(snapshot.date)}?`)) return;
+
+        try {
+            await WocabeeSnapshots.remove(snapshot.id);
+        } catch (error) {
+            console.error('Delete error:', error);
+            this.showStatus(`⚠️ Could not delete: ${error.message}`, true);
+        }
+    },
+
+    /**
+     * Show the result of the last action above the list
+     */
+    showStatus(text, isError = false) {
+        const status = document.getElementById('status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+        status.hidden = false;
+    },
+
+    /**
+     * Create a table cell
+     */
+    createCell(text, className = '') {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+    },
+
+    /**
+     * Create a button
+     */
+    createButton(text, className, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    /**
+     * Format a timestamp as date and time
+     */
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    },
+
+    /**
+     * Format a size in bytes as KB or MB
+     */
+    formatSize(bytes) {
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => WocabeeSnapshotList.init());
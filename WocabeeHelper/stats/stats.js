@@ -0,0 +1,167 @@
+/**
+ * WocabeeHelper Statistics Dashboard
+ * Charts of learning progress drawn from local review history
+ */
+
+const WocabeeStats = {
+    /**
+     * Initialize the page
+     */
+    async init() {
+        await WocabeeStudy.loadDatabase();
+        WocabeeTheme.init();
+        await WocabeeScheduler.init();
+
+        // Reviews and newly indexed words from other tabs show up right away
+        WocabeeState.watchStorage(() => this.render());
+        WocabeeScheduler.watchStorage(() => this.render());
+
+        document.getElementById('range').addEventListener('change', () => this.render());
+        this.render();
+    },
+
+    /**
+     * Render the whole dashboard
+     */
+    render() {
+        if (WocabeeState.wordDatabase.size === 0) {
+            WocabeeStudy.showView('view-empty');
+            document.getElementById('streak').textContent = '';
+            return;
+        }
+
+        const days = parseInt(document.getElementById('range').value, 10);
+        const activity = WocabeeProgress.getDailyActivity(days);
+        const summary = WocabeeProgress.getSummary();
+        const streaks = WocabeeProgress.getStreaks();
+
+        document.getElementById('total-indexed').textContent = summary.indexed;
+        document.getElementById('total-learned').textContent = summary.learned;
+        document.getElementById('total-reviews').textContent = summary.reviews;
+        document.getElementById('total-accuracy').textContent = this.formatPercent(summary.accuracy);
+        document.getElementById('streak-current').textContent = streaks.current;
+        document.getElementById('streak-longest').textContent = streaks.longest;
+        document.getElementById('streak').textContent = streaks.current > 0
+            ? `🔥 ${streaks.current} day streak`
+            : '';
+
+        this.renderChart('chart-learned', activity, day => day.learned,
+            (day, value) => `${value} learned`);
+        this.renderChart('chart-accuracy', activity, day => day.reviews > 0 ? day.correct / day.reviews : null,
+            (day, value) => `${this.formatPercent(value)} of ${day.reviews} reviews`, 1);
+        this.renderChart('chart-indexed', activity, day => day.indexed,
+            (day, value) => `${value} indexed`);
+
+        this.renderMissedWords();
+        this.renderHardestWords();
+        WocabeeStudy.showView('view-stats');
+    },
+
+    /**
+     * Draw a bar chart with one bar per day
+     * Bars are scaled to `max`, or to the highest value when not given
+     */
+    renderChart(id, activity, getValue, describe, max = null) {
+        const chart = document.getElementById(id);
+        const values = activity.map(getValue);
+        const scale = max || Math.max(1, ...values.filter(value => value !== null));
+
+        // Label about six days along the axis, always including today
+        const labelEvery = Math.ceil(activity.length / 6);
+
+        chart.innerHTML = '';
+        activity.forEach((day, index) => {
+            const value = values[index];
+            const bar = document.createElement('div');
+            bar.className = value ? 'stats-bar' : 'stats-bar stats-bar-empty';
+            bar.style.height = `${Math.round((value || 0) / scale * 100)}%`;
+            bar.title = `${this.formatDay(day.day)}: ${value === null ? 'no reviews' : describe(day, value)}`;
+
+            if ((activity.length - 1 - index) % labelEvery === 0) {
+                const label = document.createElement('span');
+                label.className = 'stats-bar-label';
+                label.textContent = this.formatDay(day.day);
+                bar.appendChild(label);
+            }
+
+            chart.appendChild(bar);
+        });
+    },
+
+    /**
+     * Fill the table of words answered wrong on the Wocabee site
+     */
+    renderMissedWords() {
+        const words = WocabeeState.getMissedWords(WocabeeConfig.progress.missedWords);
+
+        this.fillTable('missed', words.map(word => [
+            word.source,
+            word.target,
+            `${word.mistakes}×`,
+            WocabeeStudy.formatDate(word.lastMistake)
+        ]));
+
+        document.getElementById('missed-table').hidden = words.length === 0;
+        document.getElementById('missed-empty').hidden = words.length > 0;
+        document.getElementById('btn-drill').hidden = words.length === 0;
+    },
+
+    /**
+     * Fill the hardest words table
+     */
+    renderHardestWords() {
+        const words = WocabeeProgress.getHardestWords();
+
+        this.fillTable('hardest', words.map(word => [
+            word.source,
+            word.target,
+            word.reviews,
+            this.formatPercent(word.accuracy),
+            `${word.lapses}×`
+        ]));
+
+        document.getElementById('hardest-table').hidden = words.length === 0;
+        document.getElementById('hardest-empty').hidden = words.length > 0;
+    },
+
+    /**
+     * Replace the rows of a table body, one array of cell texts per row
+     */
+    fillTable(id, rows) {
+        const tbody = document.getElementById(id);
+
+        tbody.innerHTML = '';
+        rows.forEach(cells => {
+            const tr = document.createElement('tr');
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+    },
+
+    /**
+     * Format a 0-1 ratio as a percentage
+     */
+    formatPercent(ratio) {
+        return ratio === null ? '-' : `${Math.round(ratio * 100)}%`;
+    },
+
+    /**
+     * Format a YYYY-MM-DD day key as a short date
+     */
+    formatDay(day) {
+        return new Date(`${day}T12:00:00`).toLocaleDateString(undefined, {
+            day: 'numeric',
+            month: 'short'
+        });
+    }
+};
+
+// Make it available globally
+window.WocabeeStats = WocabeeStats;
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => WocabeeStats.init());
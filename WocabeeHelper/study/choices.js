@@ -0,0 +1,106 @@
+/**
+ * WocabeeHelper Multiple Choice Generator
+ * Builds four-option questions with plausible wrong answers
+ */
+
+const WocabeeChoices = {
+    /**
+     * Generate a multiple choice question for a card
+     * The pool comes from getPool() for the card's direction, built once per session
+     * Returns { prompt, answer, options } with the answer shuffled in
+     */
+    generate(card, pool, count = WocabeeConfig.choices.optionCount) {
+        const prompt = card.reversed ? card.target : card.source;
+        const answer = card.reversed ? card.source : card.target;
+        const accepted = WocabeeStudy.getAnswers(card);
+
+        const distractors = this.pickDistractors(card, pool, answer, accepted, count - 1);
+
+        return {
+            prompt,
+            answer,
+            options: WocabeeStudy.shuffle([answer, ...distractors])
+        };
+    },
+
+    /**
+     * Pick wrong options that look like they could be right
+     * Words from the same package or deck (or, for words without one, indexed
+     * close to the answer) and of similar length are preferred
+     */
+    pickDistractors(card, pool, answer, accepted, count) {
+        const answerCandidate = pool.byWord.get(answer);
+        const answerPackages = WocabeeState.getPackageNames(WocabeeState.getMeta(card.source, card.target));
+        const acceptedStripped = accepted.map(a => WocabeeGrader.stripDiacritics(a));
+
+        // Keep only the best few, lowest score first - equal scores stay in indexing order
+        const size = count * WocabeeConfig.choices.poolFactor;
+        const best = [];
+        pool.candidates.forEach(candidate => {
+            if (accepted.includes(candidate.word) || acceptedStripped.includes(candidate.stripped)) return;
+
+            const score = this.scoreDistractor(candidate, answer, answerCandidate, answerPackages);
+            if (best.length === size && score >= best[size - 1].score) return;
+
+            const at = best.findIndex(other => other.score > score);
+            best.splice(at === -1 ? best.length : at, 0, { word: candidate.word, score });
+            if (best.length > size) best.pop();
+        });
+
+        // Pick randomly among the best few so the same options don't always repeat
+        return WocabeeStudy.shuffle(best.map(s => s.word)).slice(0, count);
+    },
+
+    /**
+     * Score how plausible a distractor is (lower is better)
+     */
+    scoreDistractor(candidate, answer, answerCandidate, answerPackages) {
+        const lengthScore = Math.abs(candidate.word.length - answer.length) / Math.max(answer.length, 1);
+
+        let packageScore;
+        if (answerPackages.length > 0) {
+            packageScore = answerPackages.some(name => candidate.packages.has(name)) ? 0 : 1;
+        } else {
+            // No package known - words indexed close together came from the same page
+            const maxDistance = WocabeeConfig.choices.neighbourhood;
+            const distance = answerCandidate ? Math.abs(candidate.index - answerCandidate.index) : maxDistance;
+            packageScore = Math.min(distance, maxDistance) / maxDistance;
+        }
+
+        return lengthScore + packageScore;
+    },
+
+    /**
+     * Build the distractor pool for one direction: { candidates, byWord }
+     * Going through every pair is the slow part, so a session builds it once, not per question
+     */
+    getPool(reversed) {
+        const candidates = this.getCandidates(reversed);
+        return { candidates, byWord: new Map(candidates.map(candidate => [candidate.word, candidate])) };
+    },
+
+    /**
+     * Get all distinct words on one side of the database, in indexing order,
+     * with the packages and decks each word was seen in
+     */
+    getCandidates(reversed) {
+        const candidates = new Map();
+        for (const [source, target] of WocabeeState.getPairs()) {
+            const word = reversed ? source : target;
+            if (!candidates.has(word)) {
+                candidates.set(word, {
+                    word,
+                    stripped: WocabeeGrader.stripDiacritics(word),
+                    index: candidates.size,
+                    packages: new Set()
+                });
+            }
+            WocabeeState.getPackageNames(WocabeeState.getMeta(source, target))
+                .forEach(packageName => candidates.get(word).packages.add(packageName));
+        }
+        return [...candidates.values()];
+    }
+};
+
+// Make it available globally
+window.WocabeeChoices = WocabeeChoices;
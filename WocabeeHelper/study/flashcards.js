@@ -0,0 +1,279 @@
+/**
+ * WocabeeHelper Flashcards
+ * Study the indexed word database as flip cards
+ */
+
+const WocabeeFlashcards = {
+    queue: [],
+    total: 0,
+    known: 0,
+    missed: 0,
+    isFlipped: false,
+
+    // SM-2 grades recorded for the known/unknown buttons
+    grades: {
+        known: 4,
+        unknown: 1
+    },
+
+    /**
+     * Initialize the page
+     */
+    async init() {
+        await WocabeeStudy.loadDatabase();
+        WocabeeTheme.init();
+        await WocabeeScheduler.init();
+        await WocabeeSpeech.init();
+        WocabeeStudy.setupModeFilter();
+        WocabeeStudy.setupAutoSpeak();
+        WocabeeStudy.setupPackageFilter(() => this.start());
+        this.setupEventListeners();
+        this.start();
+    },
+
+    /**
+     * Build a fresh shuffled deck and show the first card
+     */
+    start() {
+        const mode = document.getElementById('mode').value;
+        const direction = document.getElementById('direction').value;
+
+        const pairs = WocabeeStudy.getStudyPairs(mode, WocabeeStudy.getSelectedPackage());
+
+        const cards = pairs.map(({ source, target }) => ({
+            source,
+            target,
+            reversed: WocabeeStudy.isReversed(source, target, direction),
+            missed: false
+        }));
+
+        this.queue = WocabeeStudy.shuffle(cards);
+        this.total = cards.length;
+        this.known = 0;
+        this.missed = 0;
+
+        if (this.total === 0) {
+            this.showEmpty();
+            return;
+        }
+
+        WocabeeStudy.showView('view-card');
+        this.showCard();
+    },
+
+    /**
+     * Explain why there are no cards to study
+     */
+    showEmpty() {
+        document.getElementById('empty-message').textContent = WocabeeStudy.getEmptyMessage();
+        WocabeeStudy.showView('view-empty');
+        this.updateProgress();
+    },
+
+    /**
+     * Render the card at the front of the queue
+     */
+    showCard() {
+        const card = this.queue[0];
+        if (!card) {
+            this.finish();
+            return;
+        }
+
+        const front = card.reversed ? card.target : card.source;
+        const back = card.reversed ? card.source : card.target;
+
+        // Other accepted translations of the same word
+        const alternatives = WocabeeStudy.getAnswers(card).filter(w => w !== back);
+
+        const alternativesEl = document.getElementById('card-alternatives');
+        alternativesEl.textContent = alternatives.length > 0 ? `also: ${alternatives.join(', ')}` : '';
+
+        document.getElementById('card-side').textContent = WocabeeStudy.getPromptLabel(card);
+        document.getElementById('card-front').textContent = front;
+        document.getElementById('card-back').textContent = back;
+        document.getElementById('card-back').hidden = true;
+        alternativesEl.hidden = true;
+        this.renderDetails(card);
+        document.getElementById('card-hint').hidden = false;
+        document.getElementById('card').classList.remove('flipped');
+        this.setAnswerButtons(false);
+        this.isFlipped = false;
+        WocabeeStudy.updateSpeakButton(document.getElementById('btn-speak'), WocabeeStudy.getSideLanguage(card));
+        if (WocabeeStudy.isAutoSpeak()) this.speak();
+
+        this.updateProgress();
+    },
+
+    /**
+     * Fill in the notes, examples, part of speech and tags shown on the back of a card
+     * Each part is hidden when empty
+     */
+    renderDetails(card) {
+        const { notes, examples, partOfSpeech, tags } = WocabeeState.getDetails(card.source, card.target);
+        const posEl = document.getElementById('card-pos');
+        const notesEl = document.getElementById('card-notes');
+        const examplesEl = document.getElementById('card-examples');
+        const tagsEl = document.getElementById('card-tags');
+
+        posEl.textContent = partOfSpeech ? WocabeeConfig.partsOfSpeech[partOfSpeech] : '';
+        posEl.hidden = !partOfSpeech;
+        notesEl.textContent = notes;
+        notesEl.hidden = !notes;
+
+        examplesEl.innerHTML = '';
+        examples.forEach(example => {
+            const item = document.createElement('li');
+            item.textContent = example;
+            examplesEl.appendChild(item);
+        });
+        examplesEl.hidden = examples.length === 0;
+
+        tagsEl.textContent = tags.map(tag => `#${tag}`).join(' ');
+        tagsEl.hidden = tags.length === 0;
+
+        document.getElementById('card-details').hidden = true;
+    },
+
+    /**
+     * Check if a card has any details to show
+     */
+    hasDetails(card) {
+        const { notes, examples, partOfSpeech, tags } = WocabeeState.getDetails(card.source, card.target);
+        return !!(notes || examples.length > 0 || partOfSpeech || tags.length > 0);
+    },
+
+    /**
+     * Reveal the back of the current card
+     */
+    flip() {
+        if (this.isFlipped || !this.queue[0]) return;
+
+        const alternativesEl = document.getElementById('card-alternatives');
+        document.getElementById('card-back').hidden = false;
+        alternativesEl.hidden = !alternativesEl.textContent;
+        document.getElementById('card-details').hidden = !this.hasDetails(this.queue[0]);
+        document.getElementById('card-hint').hidden = true;
+        document.getElementById('card').classList.add('flipped');
+        this.setAnswerButtons(true);
+        this.isFlipped = true;
+
+        const card = this.queue[0];
+        WocabeeStudy.updateSpeakButton(document.getElementById('btn-speak'), WocabeeStudy.getSideLanguage(card, false));
+        if (WocabeeStudy.isAutoSpeak()) this.speak();
+    },
+
+    /**
+     * Read the visible side of the current card aloud - the answer once flipped
+     */
+    speak() {
+        const card = this.queue[0];
+        if (!card) return;
+
+        const showsPrompt = !this.isFlipped;
+        const word = card.reversed === showsPrompt ? card.target : card.source;
+        WocabeeSpeech.speak(word, WocabeeStudy.getSideLanguage(card, showsPrompt));
+    },
+
+    /**
+     * Mark the current card as known or unknown
+     * Unknown cards go back to the end of the queue
+     */
+    answer(isKnown) {
+        if (!this.isFlipped) return;
+
+        const card = this.queue.shift();
+
+        // Only the first answer of a due card counts towards its schedule,
+        // browsing "all words" must not push cards further into the future
+        if (!card.missed && document.getElementById('mode').value === 'due') {
+            WocabeeStudy.recordReview(
+                card.source,
+                card.target,
+                isKnown ? this.grades.known : this.grades.unknown
+            );
+        }
+
+        if (isKnown) {
+            this.known++;
+        } else {
+            if (!card.missed) this.missed++;
+            card.missed = true;
+            this.queue.push(card);
+        }
+
+        this.showCard();
+    },
+
+    /**
+     * Show the end-of-deck summary
+     */
+    finish() {
+        let summary = `All ${this.total} cards done! ${this.total - this.missed} known on the first try.`;
+
+        const nextDue = WocabeeScheduler.getNextDue();
+        if (document.getElementById('mode').value === 'due' && nextDue) {
+            summary += ` Next review on ${WocabeeStudy.formatDate(nextDue)}.`;
+        }
+
+        WocabeeStudy.showView('view-done');
+        document.getElementById('done-summary').textContent = summary;
+        this.updateProgress();
+    },
+
+    /**
+     * Enable or disable the known/unknown buttons
+     */
+    setAnswerButtons(enabled) {
+        document.getElementById('btn-known').disabled = !enabled;
+        document.getElementById('btn-unknown').disabled = !enabled;
+    },
+
+    /**
+     * Update the progress counter in the header
+     */
+    updateProgress() {
+        document.getElementById('progress').textContent = this.total > 0
+            ? `✓ ${this.known} / ${this.total}`
+            : '';
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('card').addEventListener('click', () => this.flip());
+        document.getElementById('btn-speak').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.speak();
+        });
+        document.getElementById('btn-known').addEventListener('click', () => this.answer(true));
+        document.getElementById('btn-unknown').addEventListener('click', () => this.answer(false));
+        document.getElementById('btn-restart').addEventListener('click', () => this.start());
+        document.getElementById('btn-again').addEventListener('click', () => this.start());
+        document.getElementById('mode').addEventListener('change', () => this.start());
+        document.getElementById('direction').addEventListener('change', () => this.start());
+
+        // Keyboard shortcuts: Space flips, 1/2 answer, S reads aloud
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT') return;
+
+            if (e.code === 'Space' || e.key === 'Enter') {
+                e.preventDefault();
+                this.flip();
+            } else if (e.key === '1' || e.key === 'ArrowLeft') {
+                this.answer(false);
+            } else if (e.key === '2' || e.key === 'ArrowRight') {
+                this.answer(true);
+            } else if (e.key === 's' || e.key === 'S') {
+                this.speak();
+            }
+        });
+    }
+};
+
+// Make it available globally
+window.WocabeeFlashcards = WocabeeFlashcards;
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => WocabeeFlashcards.init());
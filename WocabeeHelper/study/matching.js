@@ -0,0 +1,299 @@
+/**
+ * WocabeeHelper Matching Game
+ * A timed board of word and translation tiles to pair up, by mouse or keyboard.
+ * It's a warm-up, so it doesn't count as a review - the time and mismatches
+ * of each word are kept with the word instead
+ */
+
+const WocabeeMatching = {
+    // Pairs on the board: { source, target, selectedAt, time, mismatches, matched }
+    // A word's time runs from the first pick of one of its tiles that was checked against
+    // another tile until it is matched - a pick taken back doesn't count
+    pairs: [],
+    tiles: [],
+    selected: null,
+    isChecking: false,
+
+    startTime: null,
+    endTime: null,
+    timer: null,
+    mismatches: 0,
+
+    /**
+     * Initialize the page
+     */
+    async init() {
+        await WocabeeStudy.loadDatabase();
+        WocabeeTheme.init();
+        await WocabeeScheduler.init();
+        WocabeeStudy.setupModeFilter();
+        WocabeeStudy.setupPackageFilter(() => this.start());
+        this.setupEventListeners();
+        this.start();
+    },
+
+    /**
+     * Deal a new board
+     */
+    start() {
+        const mode = document.getElementById('mode').value;
+        const length = parseInt(document.getElementById('length').value, 10);
+
+        // Every tile must have exactly one partner on the board
+        this.pairs = [];
+        WocabeeStudy.shuffle(WocabeeStudy.getStudyPairs(mode, WocabeeStudy.getSelectedPackage())).forEach(({ source, target }) => {
+            if (this.pairs.length >= length) return;
+            const clashes = this.pairs.some(other =>
+                WocabeeState.hasPair(source, other.target) || WocabeeState.hasPair(other.source, target)
+            );
+            if (clashes) return;
+            this.pairs.push({ source, target, selectedAt: null, time: null, mismatches: 0, matched: false });
+        });
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.startTime = null;
+        this.endTime = null;
+        this.selected = null;
+        this.isChecking = false;
+        this.mismatches = 0;
+
+        // A single pair is no game
+        if (this.pairs.length < 2) {
+            document.getElementById('empty-message').textContent = this.pairs.length === 0
+                ? WocabeeStudy.getEmptyMessage()
+                : 'Only one word to match - pick "All words" or another package.';
+            WocabeeStudy.showView('view-empty');
+            this.pairs = [];
+            this.updateProgress();
+            return;
+        }
+
+        this.renderBoard();
+        WocabeeStudy.showView('view-board');
+        this.tiles[0].element.focus();
+        this.updateProgress();
+    },
+
+    /**
+     * Lay out the word and translation tiles in a shuffled grid
+     */
+    renderBoard() {
+        const board = document.getElementById('board');
+        board.innerHTML = '';
+        board.style.gridTemplateColumns = `repeat(${WocabeeConfig.matching.columns}, 1fr)`;
+
+        const tiles = this.pairs.flatMap(pair => [
+            { pair, side: 'source', text: pair.source, pickedAt: null },
+            { pair, side: 'target', text: pair.target, pickedAt: null }
+        ]);
+
+        this.tiles = WocabeeStudy.shuffle(tiles);
+        this.tiles.forEach(tile => {
+            tile.element = document.createElement('button');
+            tile.element.className = `match-tile match-tile-${tile.side}`;
+            tile.element.textContent = tile.text;
+            tile.element.addEventListener('click', () => this.select(tile));
+            board.appendChild(tile.element);
+        });
+    },
+
+    /**
+     * Pick a tile - the second pick from the other side is checked against the first
+     */
+    select(tile) {
+        if (this.isChecking || tile.pair.matched) return;
+
+        // The clock starts with the first pick
+        const now = Date.now();
+        if (!this.startTime) {
+            this.startTime = now;
+            this.timer = setInterval(() => this.updateProgress(), 1000);
+        }
+
+        if (!this.selected || this.selected.side === tile.side) {
+            this.selected?.element.classList.remove('match-tile-selected');
+            this.selected = tile === this.selected ? null : tile;
+            this.selected?.element.classList.add('match-tile-selected');
+            if (this.selected) this.selected.pickedAt = now;
+            return;
+        }
+
+        const first = this.selected;
+        this.selected = null;
+        first.element.classList.remove('match-tile-selected');
+
+        // Both picks stay now - a word's own time starts with the first of its tiles that did
+        if (!first.pair.selectedAt) first.pair.selectedAt = first.pickedAt;
+        if (!tile.pair.selectedAt) tile.pair.selectedAt = now;
+
+        if (first.pair === tile.pair) {
+            this.match(first, tile);
+        } else {
+            this.mismatch(first, tile);
+        }
+        this.updateProgress();
+    },
+
+    /**
+     * Clear a matched pair off the board
+     */
+    match(first, second) {
+        const pair = first.pair;
+        pair.matched = true;
+        pair.time = Date.now() - pair.selectedAt;
+
+        [first, second].forEach(({ element }) => {
+            element.classList.add('match-tile-matched');
+            element.disabled = true;
+        });
+
+        if (this.pairs.every(({ matched }) => matched)) {
+            this.finish();
+        } else {
+            this.focusNearest(second);
+        }
+    },
+
+    /**
+     * Mark a wrong pair for a moment - both words get the mismatch
+     */
+    mismatch(first, second) {
+        this.mismatches++;
+        first.pair.mismatches++;
+        second.pair.mismatches++;
+
+        this.isChecking = true;
+        [first, second].forEach(({ element }) => element.classList.add('match-tile-wrong'));
+        setTimeout(() => {
+            [first, second].forEach(({ element }) => element.classList.remove('match-tile-wrong'));
+            this.isChecking = false;
+        }, WocabeeConfig.matching.mismatchFlash);
+    },
+
+    /**
+     * Show the results and keep each word's time and mismatches
+     */
+    async finish() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.endTime = Date.now();
+        const total = this.endTime - this.startTime;
+
+        // Compare with the best times from earlier games before they are updated
+        const results = this.pairs.map(({ source, target, time, mismatches }) => {
+            const best = WocabeeState.getMeta(source, target)?.matching?.bestTime ?? null;
+            return { source, target, time, mismatches, isBest: best !== null && time < best };
+        });
+        try {
+            await WocabeeState.recordMatchResults(results.map(({ source, target, time, mismatches }) => ({ source, target, time, mismatches })));
+        } catch (error) {
+            // Not recorded, so none of them is a new best time
+            WocabeeStudy.log('Matching results not saved:', error);
+            WocabeeStudy.showError(`⚠️ This game's times weren't saved: ${error.message}`);
+            results.forEach(result => {
+                result.isBest = false;
+            });
+        }
+
+        document.getElementById('done-summary').textContent =
+            `${this.pairs.length} pairs in ${this.formatTime(total)} with ` +
+            `${this.mismatches} ${this.mismatches === 1 ? 'mismatch' : 'mismatches'}.`;
+
+        // The slowest words come first - they need the most practice
+        const list = document.getElementById('done-words');
+        list.innerHTML = '';
+        results.sort((a, b) => b.mismatches - a.mismatches || b.time - a.time).forEach(result => {
+            const item = document.createElement('li');
+            if (result.mismatches > 0) item.className = 'study-list-wrong';
+            const mismatches = result.mismatches > 0
+                ? ` · ${result.mismatches} ${result.mismatches === 1 ? 'mismatch' : 'mismatches'}`
+                : '';
+            item.textContent = `${result.source} → ${result.target} · ${(result.time / 1000).toFixed(1)} s` +
+                mismatches + (result.isBest ? ' · 🏅 best time' : '');
+            list.appendChild(item);
+        });
+
+        WocabeeStudy.showView('view-done');
+        this.updateProgress();
+    },
+
+    /**
+     * Move the keyboard focus to the closest tile still on the board
+     */
+    focusNearest(tile) {
+        const index = this.tiles.indexOf(tile);
+        const remaining = this.tiles.filter(({ pair }) => !pair.matched);
+        remaining.sort((a, b) => Math.abs(this.tiles.indexOf(a) - index) - Math.abs(this.tiles.indexOf(b) - index));
+        remaining[0]?.element.focus();
+    },
+
+    /**
+     * Move the focus with the arrow keys, skipping matched tiles
+     */
+    moveFocus(key) {
+        const columns = WocabeeConfig.matching.columns;
+        const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns };
+        const from = this.tiles.findIndex(({ element }) => element === document.activeElement);
+        if (from === -1) {
+            this.focusNearest(this.tiles[0]);
+            return;
+        }
+
+        for (let i = from + steps[key]; i >= 0 && i < this.tiles.length; i += steps[key]) {
+            if (!this.tiles[i].pair.matched) {
+                this.tiles[i].element.focus();
+                return;
+            }
+        }
+    },
+
+    /**
+     * Update the clock and match counter in the header
+     */
+    updateProgress() {
+        if (this.pairs.length === 0) {
+            document.getElementById('progress').textContent = '';
+            return;
+        }
+
+        const matched = this.pairs.filter(({ matched }) => matched).length;
+        const elapsed = this.startTime ? (this.endTime || Date.now()) - this.startTime : 0;
+        document.getElementById('progress').textContent =
+            `⏱ ${this.formatTime(elapsed)} · ${matched} / ${this.pairs.length} · ✗ ${this.mismatches}`;
+    },
+
+    /**
+     * Format a duration as minutes and seconds
+     */
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('board').addEventListener('keydown', (e) => {
+            if (e.key.startsWith('Arrow')) {
+                e.preventDefault();
+                this.moveFocus(e.key);
+            } else if (e.key === 'Escape' && this.selected) {
+                this.selected.element.classList.remove('match-tile-selected');
+                this.selected = null;
+            }
+        });
+
+        document.getElementById('btn-restart').addEventListener('click', () => this.start());
+        document.getElementById('btn-again').addEventListener('click', () => this.start());
+        document.getElementById('mode').addEventListener('change', () => this.start());
+        document.getElementById('length').addEventListener('change', () => this.start());
+    }
+};
+
+// Make it available globally
+window.WocabeeMatching = WocabeeMatching;
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => WocabeeMatching.init());
@@ -0,0 +1,259 @@
+/**
+ * WocabeeHelper Typing Quiz
+ * Ask words from the database and grade typed answers
+ * The listening direction reads the foreign word aloud and asks for its spelling
+ */
+
+const WocabeeQuiz = {
+    questions: [],
+    current: 0,
+    isAnswered: false,
+    score: {
+        correct: 0,
+        diacritics: 0,
+        typo: 0,
+        wrong: 0
+    },
+    mistakes: [],
+
+    // SM-2 grades recorded for each result
+    grades: {
+        correct: 4,
+        diacritics: 3,
+        typo: 3,
+        wrong: 1
+    },
+
+    /**
+     * Initialize the page
+     */
+    async init() {
+        await WocabeeStudy.loadDatabase();
+        WocabeeTheme.init();
+        await WocabeeScheduler.init();
+        await WocabeeSpeech.init();
+        WocabeeStudy.setupModeFilter();
+        WocabeeStudy.setupAutoSpeak();
+        WocabeeStudy.setupPackageFilter(() => this.start());
+        this.setupEventListeners();
+        this.start();
+    },
+
+    /**
+     * Build a new set of questions
+     */
+    start() {
+        const mode = document.getElementById('mode').value;
+        const direction = document.getElementById('direction').value;
+        const length = parseInt(document.getElementById('length').value, 10);
+
+        const pairs = WocabeeStudy.getStudyPairs(mode, WocabeeStudy.getSelectedPackage());
+        const listening = direction === 'listen';
+
+        // One question per prompt word - all its translations are accepted anyway
+        const seen = new Set();
+        const questions = [];
+        WocabeeStudy.shuffle(pairs).forEach(({ source, target }) => {
+            // Listening plays the foreign word, so it needs a voice for that language
+            const reversed = WocabeeStudy.isReversed(source, target, listening ? 'foreign' : direction);
+            const prompt = reversed ? target : source;
+            const question = { source, target, reversed, prompt, listening };
+            if (listening && !WocabeeSpeech.canSpeak(WocabeeStudy.getSideLanguage(question))) return;
+
+            if (seen.has(prompt)) return;
+            seen.add(prompt);
+            questions.push(question);
+        });
+
+        this.questions = length > 0 ? questions.slice(0, length) : questions;
+        this.current = 0;
+        this.score = { correct: 0, diacritics: 0, typo: 0, wrong: 0 };
+        this.mistakes = [];
+
+        if (this.questions.length === 0) {
+            document.getElementById('empty-message').textContent = listening && pairs.length > 0
+                ? 'Your browser has no voice for the language of these words - try another package.'
+                : WocabeeStudy.getEmptyMessage();
+            WocabeeStudy.showView('view-empty');
+            this.updateProgress();
+            return;
+        }
+
+        WocabeeStudy.showView('view-question');
+        this.showQuestion();
+    },
+
+    /**
+     * Show the current question
+     */
+    showQuestion() {
+        const question = this.questions[this.current];
+        if (!question) {
+            this.finish();
+            return;
+        }
+
+        const input = document.getElementById('answer');
+        const language = WocabeeStudy.getSideLanguage(question);
+        document.getElementById('question-side').textContent = question.listening
+            ? `Listen - ${WocabeeLanguages.getName(language)}`
+            : WocabeeStudy.getPromptLabel(question);
+        document.getElementById('question-word').textContent = question.listening ? '🎧' : question.prompt;
+        input.placeholder = question.listening ? 'Type what you hear...' : 'Type the translation...';
+        WocabeeStudy.updateSpeakButton(document.getElementById('btn-speak'), language);
+        document.getElementById('feedback').hidden = true;
+        document.getElementById('btn-submit').textContent = 'Check';
+        input.value = '';
+        input.disabled = false;
+        input.className = 'quiz-input';
+        input.focus();
+        this.isAnswered = false;
+        if (question.listening || WocabeeStudy.isAutoSpeak()) this.speak();
+
+        this.updateProgress();
+    },
+
+    /**
+     * Read the current prompt aloud
+     */
+    speak() {
+        const question = this.questions[this.current];
+        if (!question) return;
+        WocabeeSpeech.speak(question.prompt, WocabeeStudy.getSideLanguage(question));
+    },
+
+    /**
+     * Grade the typed answer, or move on if it was already graded
+     */
+    submit() {
+        if (this.isAnswered) {
+            this.current++;
+            this.showQuestion();
+            return;
+        }
+
+        const question = this.questions[this.current];
+        const input = document.getElementById('answer');
+        if (!input.value.trim()) return;
+
+        // Listening asks for the word that was played, not its translation
+        const accepted = question.listening ? [question.prompt] : WocabeeStudy.getAnswers(question);
+        const { result, expected } = WocabeeGrader.grade(input.value, accepted);
+
+        this.score[result]++;
+        if (result !== WocabeeGrader.results.correct) {
+            const prompt = question.listening ? '🎧' : question.prompt;
+            this.mistakes.push({ prompt, answer: input.value.trim(), expected, result });
+        }
+
+        // Spelling what you hear says nothing about knowing the meaning - it doesn't count as a review
+        if (document.getElementById('mode').value === 'due' && !question.listening) {
+            WocabeeStudy.recordReview(question.source, question.target, this.grades[result]);
+        }
+
+        this.showFeedback(result, expected, accepted);
+        if (question.listening) {
+            const translations = WocabeeStudy.getAnswers(question).join(', ');
+            document.getElementById('feedback').textContent += ` - means "${translations}"`;
+        }
+        input.disabled = true;
+        input.classList.add(`quiz-input-${result}`);
+        document.getElementById('btn-submit').textContent = 'Next →';
+        document.getElementById('btn-submit').focus();
+        this.isAnswered = true;
+
+        this.updateProgress();
+    },
+
+    /**
+     * Show feedback for a graded answer
+     */
+    showFeedback(result, expected, accepted) {
+        const feedback = document.getElementById('feedback');
+        const others = accepted.filter(a => a !== expected);
+        const alsoText = others.length > 0 ? ` (also: ${others.join(', ')})` : '';
+
+        const messages = {
+            correct: `✓ Correct!${alsoText}`,
+            diacritics: `≈ Almost - only the diacritics were wrong: ${expected}`,
+            typo: `≈ Almost - check the spelling: ${expected}`,
+            wrong: `✗ Correct answer: ${accepted.join(' / ')}`
+        };
+
+        feedback.textContent = messages[result];
+        feedback.className = `quiz-feedback quiz-feedback-${result}`;
+        feedback.hidden = false;
+    },
+
+    /**
+     * Show the end-of-quiz summary
+     */
+    finish() {
+        const total = this.questions.length;
+        document.getElementById('done-summary').textContent =
+            `${this.score.correct} of ${total} correct, ${this.score.diacritics} with accent mistakes, ` +
+            `${this.score.typo} with typos, ${this.score.wrong} wrong.`;
+
+        const list = document.getElementById('done-mistakes');
+        list.innerHTML = '';
+        this.mistakes.forEach(mistake => {
+            const item = document.createElement('li');
+            item.className = `study-list-${mistake.result}`;
+            item.textContent = `${mistake.prompt} → ${mistake.expected} (you typed "${mistake.answer}")`;
+            list.appendChild(item);
+        });
+
+        WocabeeStudy.showView('view-done');
+        this.updateProgress();
+    },
+
+    /**
+     * Update the score counter in the header
+     */
+    updateProgress() {
+        const total = this.questions.length;
+        if (total === 0) {
+            document.getElementById('progress').textContent = '';
+            return;
+        }
+
+        const position = Math.min(this.current + 1, total);
+        document.getElementById('progress').textContent =
+            `${position} / ${total} · ✓ ${this.score.correct} · ≈ ${this.score.diacritics + this.score.typo} · ✗ ${this.score.wrong}`;
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('answer-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        document.getElementById('btn-speak').addEventListener('click', () => {
+            this.speak();
+            document.getElementById('answer').focus();
+        });
+
+        // Ctrl+Space plays the word again without leaving the answer field
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.code === 'Space') {
+                e.preventDefault();
+                this.speak();
+            }
+        });
+
+        document.getElementById('btn-restart').addEventListener('click', () => this.start());
+        document.getElementById('btn-again').addEventListener('click', () => this.start());
+        document.getElementById('mode').addEventListener('change', () => this.start());
+        document.getElementById('direction').addEventListener('change', () => this.start());
+        document.getElementById('length').addEventListener('change', () => this.start());
+    }
+};
+
+// Make it available globally
+window.WocabeeQuiz = WocabeeQuiz;
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => WocabeeQuiz.init());
@@ -0,0 +1,215 @@
+/**
+ * WocabeeHelper Multiple Choice Self-Test
+ * Recognition drill with four options per question
+ */
+
+const WocabeeSelfTest = {
+    questions: [],
+    current: 0,
+    isAnswered: false,
+    correct: 0,
+    mistakes: [],
+
+    // SM-2 grades recorded for each result
+    grades: {
+        correct: 4,
+        wrong: 1
+    },
+
+    /**
+     * Initialize the page
+     */
+    async init() {
+        await WocabeeStudy.loadDatabase();
+        WocabeeTheme.init();
+        await WocabeeScheduler.init();
+        WocabeeStudy.setupModeFilter();
+        WocabeeStudy.setupPackageFilter(() => this.start());
+        this.setupEventListeners();
+        this.start();
+    },
+
+    /**
+     * Build a new set of questions
+     */
+    start() {
+        const mode = document.getElementById('mode').value;
+        const direction = document.getElementById('direction').value;
+        const length = parseInt(document.getElementById('length').value, 10);
+
+        const pairs = WocabeeStudy.shuffle(WocabeeStudy.getStudyPairs(mode, WocabeeStudy.getSelectedPackage()));
+        const selected = length > 0 ? pairs.slice(0, length) : pairs;
+
+        // One distractor pool per direction for the whole session
+        const pools = {};
+        this.questions = selected
+            .map(({ source, target }) => {
+                const reversed = WocabeeStudy.isReversed(source, target, direction);
+                const card = { source, target, reversed };
+                if (!pools[reversed]) pools[reversed] = WocabeeChoices.getPool(reversed);
+                return { ...card, ...WocabeeChoices.generate(card, pools[reversed]) };
+            })
+            // A question needs at least one wrong option to make sense
+            .filter(question => question.options.length >= 2);
+
+        this.current = 0;
+        this.correct = 0;
+        this.mistakes = [];
+
+        if (this.questions.length === 0) {
+            document.getElementById('empty-message').textContent = pairs.length > 0
+                ? 'Index a few more words to get multiple choice questions!'
+                : WocabeeStudy.getEmptyMessage();
+            WocabeeStudy.showView('view-empty');
+            this.updateProgress();
+            return;
+        }
+
+        WocabeeStudy.showView('view-question');
+        this.showQuestion();
+    },
+
+    /**
+     * Show the current question and its options
+     */
+    showQuestion() {
+        const question = this.questions[this.current];
+        if (!question) {
+            this.finish();
+            return;
+        }
+
+        document.getElementById('question-side').textContent = WocabeeStudy.getPromptLabel(question);
+        document.getElementById('question-word').textContent = question.prompt;
+
+        const container = document.getElementById('options');
+        container.innerHTML = '';
+        question.options.forEach((option, index) => {
+            const button = document.createElement('button');
+            button.className = 'btn choice-option';
+            button.textContent = option;
+            button.dataset.option = option;
+            button.addEventListener('click', () => this.choose(option));
+
+            const key = document.createElement('kbd');
+            key.textContent = index + 1;
+            button.appendChild(key);
+
+            container.appendChild(button);
+        });
+
+        document.getElementById('btn-next').disabled = true;
+        this.isAnswered = false;
+        this.updateProgress();
+    },
+
+    /**
+     * Check the chosen option
+     */
+    choose(option) {
+        if (this.isAnswered) return;
+
+        const question = this.questions[this.current];
+        const isCorrect = option === question.answer;
+
+        if (isCorrect) {
+            this.correct++;
+        } else {
+            this.mistakes.push({ prompt: question.prompt, answer: option, expected: question.answer });
+        }
+
+        if (document.getElementById('mode').value === 'due') {
+            WocabeeStudy.recordReview(
+                question.source,
+                question.target,
+                isCorrect ? this.grades.correct : this.grades.wrong
+            );
+        }
+
+        // Mark the right answer, and the wrong pick if there was one
+        document.querySelectorAll('.choice-option').forEach(button => {
+            button.disabled = true;
+            if (button.dataset.option === question.answer) {
+                button.classList.add('choice-correct');
+            } else if (button.dataset.option === option) {
+                button.classList.add('choice-wrong');
+            }
+        });
+
+        document.getElementById('btn-next').disabled = false;
+        this.isAnswered = true;
+        this.updateProgress();
+    },
+
+    /**
+     * Move on to the next question
+     */
+    next() {
+        if (!this.isAnswered) return;
+        this.current++;
+        this.showQuestion();
+    },
+
+    /**
+     * Show the end-of-test summary
+     */
+    finish() {
+        document.getElementById('done-summary').textContent =
+            `${this.correct} of ${this.questions.length} correct.`;
+
+        const list = document.getElementById('done-mistakes');
+        list.innerHTML = '';
+        this.mistakes.forEach(mistake => {
+            const item = document.createElement('li');
+            item.className = 'study-list-wrong';
+            item.textContent = `${mistake.prompt} → ${mistake.expected} (you picked "${mistake.answer}")`;
+            list.appendChild(item);
+        });
+
+        WocabeeStudy.showView('view-done');
+        this.updateProgress();
+    },
+
+    /**
+     * Update the score counter in the header
+     */
+    updateProgress() {
+        const total = this.questions.length;
+        document.getElementById('progress').textContent = total > 0
+            ? `${Math.min(this.current + 1, total)} / ${total} · ✓ ${this.correct}`
+            : '';
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('btn-next').addEventListener('click', () => this.next());
+        document.getElementById('btn-restart').addEventListener('click', () => this.start());
+        document.getElementById('btn-again').addEventListener('click', () => this.start());
+        document.getElementById('mode').addEventListener('change', () => this.start());
+        document.getElementById('direction').addEventListener('change', () => this.start());
+        document.getElementById('length').addEventListener('change', () => this.start());
+
+        // Keyboard shortcuts: 1-4 pick an option, Enter moves on
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'SELECT') return;
+
+            const question = this.questions[this.current];
+            const index = parseInt(e.key, 10) - 1;
+
+            if (question && index >= 0 && index < question.options.length) {
+                this.choose(question.options[index]);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.next();
+            }
+        });
+    }
+};
+
+// Make it available globally
+window.WocabeeSelfTest = WocabeeSelfTest;
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => WocabeeSelfTest.init());
@@ -0,0 +1,412 @@
+/**
+ * WocabeeHelper Spelling Drill
+ * Show one side of a pair and check the other side's spelling letter by letter as it is typed.
+ * Every slip counts, even if it is fixed - accent-only slips are scored separately
+ */
+
+const WocabeeSpelling = {
+    questions: [],
+    current: 0,
+    isAnswered: false,
+    score: {
+        correct: 0,
+        diacritics: 0,
+        wrong: 0
+    },
+    mistakes: [],
+
+    // The spelling the current answer is checked against, and whether it is settled
+    expected: '',
+    isLocked: false,
+
+    // Slips made on the current word: position -> { result, letter }
+    // (an extra letter is keyed by the position it was typed before, as "+position")
+    slips: new Map(),
+
+    // Accented letters spelled without (or with the wrong) accent: letter -> count
+    accentMisses: new Map(),
+
+    // SM-2 grades recorded for each result
+    grades: {
+        correct: 4,
+        diacritics: 3,
+        wrong: 1
+    },
+
+    /**
+     * Initialize the page
+     */
+    async init() {
+        await WocabeeStudy.loadDatabase();
+        WocabeeTheme.init();
+        await WocabeeScheduler.init();
+        await WocabeeSpeech.init();
+        WocabeeStudy.setupModeFilter();
+        WocabeeStudy.setupAutoSpeak();
+        WocabeeStudy.setupPackageFilter(() => this.start());
+        this.setupEventListeners();
+        this.start();
+    },
+
+    /**
+     * Build a new set of words to spell
+     */
+    start() {
+        const mode = document.getElementById('mode').value;
+        const direction = document.getElementById('direction').value;
+        const length = parseInt(document.getElementById('length').value, 10);
+
+        // One question per prompt word - any of its translations may be spelled
+        const seen = new Set();
+        const questions = [];
+        WocabeeStudy.shuffle(WocabeeStudy.getStudyPairs(mode, WocabeeStudy.getSelectedPackage())).forEach(({ source, target }) => {
+            const reversed = WocabeeStudy.isReversed(source, target, direction);
+            const prompt = reversed ? target : source;
+            if (seen.has(prompt)) return;
+            seen.add(prompt);
+            questions.push({ source, target, reversed, prompt });
+        });
+
+        this.questions = length > 0 ? questions.slice(0, length) : questions;
+        this.current = 0;
+        this.score = { correct: 0, diacritics: 0, wrong: 0 };
+        this.mistakes = [];
+        this.accentMisses = new Map();
+
+        if (this.questions.length === 0) {
+            document.getElementById('empty-message').textContent = WocabeeStudy.getEmptyMessage();
+            WocabeeStudy.showView('view-empty');
+            this.updateProgress();
+            return;
+        }
+
+        WocabeeStudy.showView('view-question');
+        this.showQuestion();
+    },
+
+    /**
+     * Show the current word
+     */
+    showQuestion() {
+        const question = this.questions[this.current];
+        if (!question) {
+            this.finish();
+            return;
+        }
+
+        const input = document.getElementById('answer');
+        document.getElementById('question-side').textContent = WocabeeStudy.getPromptLabel(question);
+        document.getElementById('question-word').textContent = question.prompt;
+        WocabeeStudy.updateSpeakButton(document.getElementById('btn-speak'), WocabeeStudy.getSideLanguage(question));
+        document.getElementById('feedback').hidden = true;
+        document.getElementById('btn-submit').textContent = 'Check';
+        input.value = '';
+        input.disabled = false;
+        input.className = 'quiz-input';
+        input.focus();
+        this.isAnswered = false;
+        this.slips = new Map();
+        this.expected = this.getSpellings(question)[0] || '';
+        this.isLocked = false;
+        if (WocabeeStudy.isAutoSpeak()) this.speak();
+
+        this.renderAccents(WocabeeStudy.getSideLanguage(question, false));
+        this.renderLetters('');
+        this.updateProgress();
+    },
+
+    /**
+     * Read the current prompt aloud
+     */
+    speak() {
+        const question = this.questions[this.current];
+        if (!question) return;
+        WocabeeSpeech.speak(question.prompt, WocabeeStudy.getSideLanguage(question));
+    },
+
+    /**
+     * Get the accepted spellings of the current question's answer
+     */
+    getSpellings(question) {
+        return WocabeeStudy.getAnswers(question).map(a => WocabeeState.normalizeWord(a).normalize('NFC')).filter(Boolean);
+    },
+
+    /**
+     * Settle which accepted spelling the answer is checked against
+     * The first letters typed decide it, and it stays put after that - so a slip can't switch
+     * to another spelling halfway. While the letters fit several spellings equally well
+     * (or nothing is typed yet) it isn't settled
+     */
+    lockExpected(value, partial = true) {
+        if (this.isLocked || !value) return;
+
+        const candidates = this.getSpellings(this.questions[this.current]);
+        const costs = candidates.map(candidate => WocabeeGrader.compareLetters(value, candidate, partial)
+            .reduce((sum, { result }) => sum + this.getSlipCost(result), 0));
+        const best = Math.min(...costs);
+        const fitting = candidates.filter((candidate, i) => costs[i] === best);
+
+        this.expected = fitting[0] || this.expected;
+        this.isLocked = fitting.length === 1 || !partial;
+    },
+
+    /**
+     * Get how much a letter result counts against a spelling - accents count half
+     */
+    getSlipCost(result) {
+        if (result === WocabeeGrader.results.correct || result === WocabeeGrader.letters.pending) return 0;
+        return result === WocabeeGrader.results.diacritics ? 0.5 : 1;
+    },
+
+    /**
+     * Check the letters typed so far and note any new slips
+     */
+    onInput() {
+        if (this.isAnswered) return;
+
+        const question = this.questions[this.current];
+        const value = document.getElementById('answer').value;
+        this.lockExpected(value);
+        this.recordSlips(value, true);
+        this.renderLetters(value);
+
+        // A finished word is checked without waiting for Enter - unless it could also be
+        // the start of another accepted spelling, then Enter decides
+        const typed = WocabeeState.normalizeWord(value).normalize('NFC');
+        const isAmbiguous = this.getSpellings(question).some(spelling => spelling !== typed && spelling.startsWith(typed));
+        if (typed === this.expected && !isAmbiguous) this.submit();
+    },
+
+    /**
+     * Remember the first slip at each position - fixing a letter doesn't undo it
+     * Skipped and extra letters count as wrong ones
+     */
+    recordSlips(value, partial = false) {
+        WocabeeGrader.compareLetters(value, this.expected, partial).forEach(({ result, expected, index }) => {
+            if (this.getSlipCost(result) === 0) return;
+
+            const key = result === WocabeeGrader.letters.extra ? `+${index}` : index;
+            if (this.slips.has(key)) return;
+            this.slips.set(key, {
+                result: result === WocabeeGrader.results.diacritics ? result : WocabeeGrader.results.wrong,
+                letter: expected || ''
+            });
+        });
+    },
+
+    /**
+     * Grade the spelled word, or move on if it was already graded
+     */
+    submit() {
+        if (this.isAnswered) {
+            this.current++;
+            this.showQuestion();
+            return;
+        }
+
+        const question = this.questions[this.current];
+        const input = document.getElementById('answer');
+        const value = WocabeeState.normalizeWord(input.value);
+        if (!value) return;
+
+        // Letters that were never typed are wrong too
+        this.lockExpected(value, false);
+        this.recordSlips(value);
+
+        const slips = [...this.slips.values()];
+        const wrong = slips.filter(({ result }) => result === WocabeeGrader.results.wrong).length;
+        const accents = slips.filter(({ result }) => result === WocabeeGrader.results.diacritics);
+        const result = wrong > 0
+            ? WocabeeGrader.results.wrong
+            : accents.length > 0 ? WocabeeGrader.results.diacritics : WocabeeGrader.results.correct;
+
+        this.score[result]++;
+        accents.forEach(({ letter }) => this.accentMisses.set(letter, (this.accentMisses.get(letter) || 0) + 1));
+        if (result !== WocabeeGrader.results.correct) {
+            this.mistakes.push({ prompt: question.prompt, expected: this.expected, accents: accents.length, wrong, result });
+        }
+
+        if (document.getElementById('mode').value === 'due') {
+            WocabeeStudy.recordReview(question.source, question.target, this.grades[result]);
+        }
+
+        this.isAnswered = true;
+        this.renderLetters(value, true);
+        this.showFeedback(result, WocabeeStudy.getAnswers(question));
+        input.disabled = true;
+        input.classList.add(`quiz-input-${result}`);
+        document.getElementById('btn-submit').textContent = 'Next →';
+        document.getElementById('btn-submit').focus();
+
+        this.updateProgress();
+    },
+
+    /**
+     * Show one box per letter: typed letters marked right, accent-only or wrong,
+     * skipped letters as gaps, and once checked the correct letters in place of the mistakes
+     */
+    renderLetters(value, revealed = false) {
+        const container = document.getElementById('letters');
+        const { results, letters } = WocabeeGrader;
+        container.innerHTML = '';
+
+        WocabeeGrader.compareLetters(value, this.expected, !revealed).forEach(({ result, typed, expected }) => {
+            const cell = document.createElement('span');
+            cell.className = 'spelling-letter';
+
+            if (result === letters.extra) {
+                cell.textContent = typed;
+                cell.classList.add(`spelling-letter-${revealed ? letters.extra : results.wrong}`);
+            } else if (result === letters.missing || result === letters.pending) {
+                cell.textContent = revealed ? expected : '';
+                cell.classList.add(`spelling-letter-${result}`);
+            } else {
+                const isMistake = result !== results.correct;
+                cell.textContent = revealed && isMistake ? expected : typed;
+                cell.classList.add(`spelling-letter-${result}`);
+                if (revealed && isMistake) cell.title = `You typed "${typed}"`;
+            }
+
+            if (expected === ' ') cell.classList.add('spelling-letter-space');
+            container.appendChild(cell);
+        });
+    },
+
+    /**
+     * Show buttons for the accented letters of the language being spelled
+     */
+    renderAccents(language) {
+        const container = document.getElementById('accents');
+        container.innerHTML = '';
+
+        [...(WocabeeConfig.spelling.accents[language] || '')].forEach(letter => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn spelling-accent';
+            button.textContent = letter;
+            button.addEventListener('click', () => this.insertLetter(letter));
+            container.appendChild(button);
+        });
+    },
+
+    /**
+     * Type a letter at the cursor, for keyboards without it
+     */
+    insertLetter(letter) {
+        const input = document.getElementById('answer');
+        if (input.disabled) return;
+
+        input.setRangeText(letter, input.selectionStart, input.selectionEnd, 'end');
+        input.focus();
+        this.onInput();
+    },
+
+    /**
+     * Show feedback for a graded word
+     */
+    showFeedback(result, accepted) {
+        const feedback = document.getElementById('feedback');
+        const others = accepted.filter(a => WocabeeState.normalizeWord(a).normalize('NFC') !== this.expected);
+        const alsoText = others.length > 0 ? ` (also: ${others.join(', ')})` : '';
+        const slips = this.slips.size;
+
+        const messages = {
+            correct: `✓ Spelled right!${alsoText}`,
+            diacritics: `≈ Only the accents were off (${slips} ${slips === 1 ? 'letter' : 'letters'}): ${this.expected}`,
+            wrong: `✗ Correct spelling: ${this.expected}`
+        };
+
+        feedback.textContent = messages[result];
+        feedback.className = `quiz-feedback quiz-feedback-${result}`;
+        feedback.hidden = false;
+    },
+
+    /**
+     * Show the end-of-drill summary
+     */
+    finish() {
+        const total = this.questions.length;
+        document.getElementById('done-summary').textContent =
+            `${this.score.correct} of ${total} spelled right, ${this.score.diacritics} with only accent mistakes, ` +
+            `${this.score.wrong} wrong.`;
+
+        // The accented letters missed most often come first
+        const misses = [...this.accentMisses.entries()].sort((a, b) => b[1] - a[1]);
+        const missed = misses.reduce((sum, [, count]) => sum + count, 0);
+        document.getElementById('done-accents').textContent = misses.length > 0
+            ? `${missed} ${missed === 1 ? 'accent' : 'accents'} missed: ${misses.map(([letter, count]) => `${letter} ×${count}`).join(', ')}`
+            : '';
+
+        const list = document.getElementById('done-mistakes');
+        list.innerHTML = '';
+        this.mistakes.forEach(mistake => {
+            const details = [];
+            if (mistake.accents > 0) details.push(`${mistake.accents} ${mistake.accents === 1 ? 'accent' : 'accents'}`);
+            if (mistake.wrong > 0) details.push(`${mistake.wrong} wrong ${mistake.wrong === 1 ? 'letter' : 'letters'}`);
+
+            const item = document.createElement('li');
+            item.className = `study-list-${mistake.result}`;
+            item.textContent = `${mistake.prompt} → ${mistake.expected} (${details.join(', ')})`;
+            list.appendChild(item);
+        });
+
+        WocabeeStudy.showView('view-done');
+        this.updateProgress();
+    },
+
+    /**
+     * Update the score counter in the header
+     */
+    updateProgress() {
+        const total = this.questions.length;
+        if (total === 0) {
+            document.getElementById('progress').textContent = '';
+            return;
+        }
+
+        const position = Math.min(this.current + 1, total);
+        document.getElementById('progress').textContent =
+            `${position} / ${total} · ✓ ${this.score.correct} · ≈ ${this.score.diacritics} · ✗ ${this.score.wrong}`;
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('answer-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        // Letters being composed with a dead key aren't finished yet
+        document.getElementById('answer').addEventListener('input', (e) => {
+            if (!e.isComposing) this.onInput();
+        });
+        document.getElementById('answer').addEventListener('compositionend', () => this.onInput());
+
+        document.getElementById('btn-speak').addEventListener('click', () => {
+            this.speak();
+            document.getElementById('answer').focus();
+        });
+
+        // Ctrl+Space plays the word again without leaving the answer field
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.code === 'Space') {
+                e.preventDefault();
+                this.speak();
+            }
+        });
+
+        document.getElementById('btn-restart').addEventListener('click', () => this.start());
+        document.getElementById('btn-again').addEventListener('click', () => this.start());
+        document.getElementById('mode').addEventListener('change', () => this.start());
+        document.getElementById('direction').addEventListener('change', () => this.start());
+        document.getElementById('length').addEventListener('change', () => this.start());
+    }
+};
+
+// Make it available globally
+window.WocabeeSpelling = WocabeeSpelling;
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => WocabeeSpelling.init());
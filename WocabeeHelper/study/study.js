@@ -0,0 +1,233 @@
+/**
+ * WocabeeHelper Study Utilities
+ * Shared helpers for the standalone study pages
+ */
+
+const WocabeeStudy = {
+    /**
+     * Load the word database into WocabeeState
+     */
+    async loadDatabase() {
+        await WocabeeState.init();
+        return WocabeeState.wordDatabase.size;
+    },
+
+    /**
+     * Get the word pairs to study - due reviews, missed words or the whole database
+     * Optionally limited to a single package
+     */
+    getStudyPairs(mode, packageName = null) {
+        if (mode === 'due') {
+            return WocabeeScheduler.getDueCards({ packageName });
+        }
+        if (mode === 'missed') {
+            return WocabeeState.getMissedWords()
+                .filter(({ source, target }) => !packageName || WocabeeState.isInPackage(source, target, packageName))
+                .slice(0, WocabeeConfig.progress.missedWords)
+                .map(({ source, target }) => ({ source, target }));
+        }
+        return WocabeeState.getPairs(packageName).map(([source, target]) => ({ source, target }));
+    },
+
+    /**
+     * Pre-select the study mode and direction passed in the URL (?mode=...&direction=...)
+     */
+    setupModeFilter() {
+        ['mode', 'direction'].forEach(id => {
+            const select = document.getElementById(id);
+            const requested = new URLSearchParams(location.search).get(id);
+            if (select && requested && [...select.options].some(o => o.value === requested)) {
+                select.value = requested;
+            }
+        });
+    },
+
+    /**
+     * Set up the "Read aloud" toggle - hidden if the browser has no voices
+     */
+    setupAutoSpeak() {
+        const checkbox = document.getElementById('auto-speak');
+        if (!checkbox) return;
+
+        checkbox.closest('label').hidden = WocabeeSpeech.voices.length === 0;
+        checkbox.checked = WocabeeState.settings.autoSpeak;
+        checkbox.addEventListener('change', () => {
+            WocabeeState.saveSettings({ autoSpeak: checkbox.checked });
+        });
+    },
+
+    /**
+     * Check if words should be read aloud as they appear
+     */
+    isAutoSpeak() {
+        return !!document.getElementById('auto-speak')?.checked;
+    },
+
+    /**
+     * Show a speak button only if there is a voice for the language
+     */
+    updateSpeakButton(button, code) {
+        button.hidden = !WocabeeSpeech.canSpeak(code);
+    },
+
+    /**
+     * Fill the package filter dropdown with the indexed packages
+     */
+    setupPackageFilter(onChange) {
+        const select = document.getElementById('package');
+        if (!select) return;
+
+        WocabeeState.getPackages().forEach(({ name, count }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name} (${count})`;
+            select.appendChild(option);
+        });
+
+        // Pre-select a package passed in the URL (?package=...)
+        const requested = new URLSearchParams(location.search).get('package');
+        if (requested && [...select.options].some(o => o.value === requested)) {
+            select.value = requested;
+        }
+
+        select.addEventListener('change', onChange);
+    },
+
+    /**
+     * Get the selected package filter (null for all packages)
+     */
+    getSelectedPackage() {
+        return document.getElementById('package')?.value || null;
+    },
+
+    /**
+     * Decide if a card asks for the source word instead of the target
+     * 'foreign' prompts with the foreign word, 'native' with the Czech one
+     */
+    isReversed(source, target, direction) {
+        if (direction === 'mixed') return Math.random() < 0.5;
+
+        const nativeFirst = WocabeeLanguages.isNativeFirst(WocabeeState.getLanguages(source, target));
+        return direction === 'native' ? !nativeFirst : nativeFirst;
+    },
+
+    /**
+     * Get the language of the prompt side of a card, or of the answer side
+     */
+    getSideLanguage(card, prompt = true) {
+        const languages = WocabeeState.getLanguages(card.source, card.target);
+        return card.reversed === prompt ? languages.target : languages.source;
+    },
+
+    /**
+     * Get the label shown above a prompt - its language if known
+     */
+    getPromptLabel(card) {
+        const code = this.getSideLanguage(card);
+        return WocabeeLanguages.getName(code) || (card.reversed ? 'Translation' : 'Word');
+    },
+
+    /**
+     * Get every accepted answer for a card
+     * Reversed cards ask for the source word, so all sources of the target count
+     */
+    getAnswers(card) {
+        return card.reversed
+            ? WocabeeState.reverseDatabase.get(card.target) || [card.source]
+            : WocabeeState.wordDatabase.get(card.source) || [card.target];
+    },
+
+    /**
+     * Explain why there is nothing to study
+     */
+    getEmptyMessage() {
+        const nextDue = WocabeeScheduler.getNextDue();
+
+        if (WocabeeState.wordDatabase.size === 0) {
+            return 'No words indexed yet - browse your Wocabee packages first!';
+        }
+        if (document.getElementById('mode')?.value === 'missed') {
+            return 'No mistakes recorded yet - words you get wrong on Wocabee will show up here.';
+        }
+        if (this.getSelectedPackage()) {
+            return 'Nothing to study in this package right now - try another package or "All words".';
+        }
+        if (nextDue) {
+            return `Nothing due right now - next review on ${this.formatDate(nextDue)}.`;
+        }
+        return 'Nothing due right now!';
+    },
+
+    /**
+     * Format a timestamp as a short human readable date
+     */
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString(undefined, {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short'
+        });
+    },
+
+    /**
+     * Return a shuffled copy of an array (Fisher-Yates)
+     */
+    shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    },
+
+    /**
+     * Show or hide one of the page's views
+     */
+    showView(id) {
+        document.querySelectorAll('.study-view').forEach(view => {
+            view.hidden = view.id !== id;
+        });
+    },
+
+    /**
+     * Record a review through the background
+     * Answering doesn't wait for it, but a review that wasn't saved is shown, not lost quietly.
+     * Resolves to the new record, or null if it couldn't be saved
+     */
+    async recordReview(source, target, grade) {
+        try {
+            return await WocabeeScheduler.review(source, target, grade);
+        } catch (error) {
+            this.log('Review not saved:', error);
+            this.showError(`⚠️ Your answer to "${source}" wasn't saved: ${error.message}`);
+            return null;
+        }
+    },
+
+    /**
+     * Show an error bar under the page header
+     */
+    showError(text) {
+        let bar = document.getElementById('study-error');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'study-error';
+            bar.className = 'study-error';
+            document.querySelector('.study-header').after(bar);
+        }
+        bar.textContent = text;
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Study]`, 'color: #009688; font-weight: bold;', ...args);
+        }
+    }
+};
+
+// Make it available globally
+window.WocabeeStudy = WocabeeStudy;
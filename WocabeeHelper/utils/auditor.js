@@ -0,0 +1,244 @@
+/**
+ * WocabeeHelper Word Pair Auditor
+ * Flags entries that look like scraping mistakes so they can be reviewed
+ * Kept pairs are saved by the background service worker, like the word database
+ */
+
+const WocabeeAuditor = {
+    // Pair keys the user reviewed and kept
+    ignored: new Set(),
+
+    // Set once this copy follows the stored kept pairs
+    isWatching: false,
+
+    // Bumped whenever the kept pairs change, so a cached audit knows it is out of date
+    ignoredRevision: 0,
+
+    // The last audit, with the database and kept pair revisions it was run for
+    lastAudit: null,
+
+    // uiTextPatterns as whole-word regular expressions, compiled on first use
+    uiTextRegexes: null,
+
+    // Checks in the order their issues are listed
+    checks: {
+        uiText: 'Looks like page text, not vocabulary',
+        tooLong: 'Unusually long for a vocabulary entry',
+        sameLanguage: 'Both sides look like the same language',
+        manyTargets: 'Word has many unrelated translations'
+    },
+
+    /**
+     * Initialize auditor from storage
+     */
+    async init() {
+        await this.loadFromStorage();
+        if (!WocabeeStore.isOwner && !this.isWatching) {
+            this.isWatching = true;
+            this.watchStorage();
+        }
+        this.log('Auditor initialized', { ignored: this.ignored.size });
+    },
+
+    /**
+     * Load ignored pair keys from chrome.storage
+     */
+    async loadFromStorage() {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            try {
+                const data = await chrome.storage.local.get(WocabeeConfig.storage.auditIgnored);
+                this.applyStoredData(data[WocabeeConfig.storage.auditIgnored]);
+            } catch (error) {
+                this.log('Storage load error:', error);
+            }
+        }
+    },
+
+    /**
+     * Replace the kept pairs with a stored value (JSON string, missing when there are none)
+     */
+    applyStoredData(value) {
+        this.ignored = new Set(value ? JSON.parse(value) : []);
+        this.ignoredRevision++;
+    },
+
+    /**
+     * Reload when the background saves pairs kept in another context, or removes them
+     */
+    watchStorage(onChange) {
+        if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            const change = changes[WocabeeConfig.storage.auditIgnored];
+            if (area !== 'local' || !change) return;
+
+            this.applyStoredData(change.newValue);
+            if (onChange) onChange();
+        });
+    },
+
+    /**
+     * Save ignored pair keys to chrome.storage
+     * Only the background service worker calls this
+     */
+    async saveToStorage() {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            try {
+                await chrome.storage.local.set({
+                    [WocabeeConfig.storage.auditIgnored]: JSON.stringify([...this.ignored])
+                });
+            } catch (error) {
+                this.log('Storage save error:', error);
+            }
+        }
+    },
+
+    /**
+     * Audit the whole database
+     * Returns a Map of pair key -> [{ check, message }] for flagged pairs only.
+     * The result is reused until the database or the kept pairs change
+     */
+    audit() {
+        const revision = `${WocabeeState.revision}:${this.ignoredRevision}`;
+        if (this.lastAudit?.revision === revision) return this.lastAudit.flagged;
+
+        const flagged = new Map();
+        const flag = (source, target, check, message) => {
+            const key = WocabeeState.pairKey(source, target);
+            if (this.ignored.has(key)) return;
+            if (!flagged.has(key)) flagged.set(key, []);
+            flagged.get(key).push({ check, message });
+        };
+
+        for (const [source, target] of WocabeeState.getPairs()) {
+            this.checkPair(source, target).forEach(check => {
+                flag(source, target, check, this.checks[check]);
+            });
+        }
+
+        for (const [source, targets] of WocabeeState.getEntries()) {
+            const targetArray = Array.isArray(targets) ? targets : [targets];
+            const groups = this.countUnrelated(targetArray);
+            if (groups < WocabeeConfig.audit.maxTargets) continue;
+
+            targetArray.forEach(target => {
+                flag(source, target, 'manyTargets', `"${source}" has ${groups} unrelated translations`);
+            });
+        }
+
+        // Keep the order of this.checks within each pair
+        const order = Object.keys(this.checks);
+        flagged.forEach(issues => issues.sort((a, b) => order.indexOf(a.check) - order.indexOf(b.check)));
+
+        this.log('Audit finished', { flagged: flagged.size });
+        this.lastAudit = { revision, flagged };
+        return flagged;
+    },
+
+    /**
+     * Run the single-pair checks
+     * Returns the names of the failed checks
+     */
+    checkPair(source, target) {
+        const failed = [];
+        if (this.isUIText(source) || this.isUIText(target)) failed.push('uiText');
+        if (this.isTooLong(source) || this.isTooLong(target)) failed.push('tooLong');
+        if (this.isSameLanguage(source, target)) failed.push('sameLanguage');
+        return failed;
+    },
+
+    /**
+     * Check text against the UI patterns WocabeeDom.isUIText rejects while scraping
+     * Patterns must match whole words here, otherwise "ok" would flag "book"
+     */
+    isUIText(text) {
+        if (!this.uiTextRegexes) {
+            this.uiTextRegexes = WocabeeConfig.uiTextPatterns.map(pattern => {
+                const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return new RegExp(`(^|[^\\p{L}])${escaped}($|[^\\p{L}])`, 'u');
+            });
+        }
+
+        const lowerText = text.toLowerCase().trim();
+        return this.uiTextRegexes.some(regex => regex.test(lowerText));
+    },
+
+    /**
+     * Check for sentences or page text that slipped in as a word
+     */
+    isTooLong(text) {
+        return text.length > WocabeeConfig.audit.maxLength ||
+            text.split(/\s+/).length > WocabeeConfig.audit.maxWords;
+    },
+
+    /**
+     * Check if both sides are written in the same language
+     * Either the same word with different accents, or both detected as one language
+     */
+    isSameLanguage(source, target) {
+        if (this.simplify(source) === this.simplify(target)) return true;
+
+        const language = WocabeeLanguages.detect(source);
+        return !!language && language === WocabeeLanguages.detect(target);
+    },
+
+    /**
+     * Count groups of unrelated translations
+     * Translations are related if one contains the other or they share a word stem
+     */
+    countUnrelated(targets) {
+        // Short words are skipped so articles like "der" don't make everything related
+        const stems = (text) => this.simplify(text).split(/\s+/)
+            .filter(word => word.length >= 4)
+            .map(word => word.slice(0, 4));
+        const related = (a, b) => {
+            const simpleA = this.simplify(a);
+            const simpleB = this.simplify(b);
+            if (simpleA.includes(simpleB) || simpleB.includes(simpleA)) return true;
+            return stems(a).some(stem => stems(b).includes(stem));
+        };
+
+        const groups = [];
+        targets.forEach(target => {
+            const group = groups.find(members => members.some(member => related(member, target)));
+            if (group) {
+                group.push(target);
+            } else {
+                groups.push([target]);
+            }
+        });
+        return groups.length;
+    },
+
+    /**
+     * Lowercase and strip accents for comparing
+     */
+    simplify(text) {
+        return text.toLowerCase().trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    },
+
+    /**
+     * Mark a pair as reviewed so it is no longer flagged
+     */
+    async ignore(source, target) {
+        this.ignored.add(WocabeeState.pairKey(source, target));
+        this.ignoredRevision++;
+        if (!WocabeeStore.isOwner) {
+            await WocabeeStore.request('ignorePair', { source, target });
+            return;
+        }
+        await this.saveToStorage();
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Auditor]`, 'color: #FF5722; font-weight: bold;', ...args);
+        }
+    }
+};
+
+// Make it available globally
+window.WocabeeAuditor = WocabeeAuditor;
@@ -45,6 +45,8 @@ const WocabeeConfig = {
         // Package/lesson containers
         packageList: '.package-list, .lesson-list, .vocab-list, .packages, .lessons, ul, table',
         packageItem: '.package-item, .lesson-item, .vocab-item, li, tr, .item',
+        packageTitle: '.package-name, .package-title, .lesson-name, .lesson-title, [class*="package-name"], [class*="package-title"], .breadcrumb .active',
+        languageLabel: '.language, .lang, [class*="language"], img[class*="flag"], [class*="flag"]',
         
         // Navigation
         nextButton: '.next, .continue, .skip, .forward, [class*="next"], [class*="continue"]',
@@ -58,6 +60,24 @@ const WocabeeConfig = {
         testContainer: '.test, .exam, .quiz, [class*="test"], [class*="exam"], [class*="quiz"]'
     },
 
+    // Text that belongs to the page UI, not to vocabulary (see WocabeeDom.isUIText)
+    uiTextPatterns: [
+        'next', 'continue', 'skip', 'submit', 'check', 'ok', 'cancel',
+        'correct', 'wrong', 'right', 'error', 'success',
+        'loading', 'please wait', 'score', 'points', 'progress',
+        'login', 'logout', 'sign', 'register', 'password',
+        'menu', 'home', 'back', 'settings', 'help',
+        'wocabee', 'copyright', '©', 'cookie', 'privacy',
+        'click', 'tap', 'press', 'select', 'choose',
+        // Extension's own UI text
+        'learning mode', 'wocabeehelper', 'indexed', 'words known',
+        'hint', 'answer', 'translation',
+        // Czech UI text
+        'seznam', 'balíků', 'balík', 'nastavení', 'odhlásit',
+        'přihlásit', 'pokračovat', 'zpět', 'další', 'hotovo',
+        'správně', 'špatně', 'chyba', 'body', 'skóre'
+    ],
+
     // CSS classes for highlighting
     classes: {
         helper: 'wocabee-helper',
@@ -72,9 +92,20 @@ const WocabeeConfig = {
 
     // Storage keys
     storage: {
-        wordDatabase: 'wh_word_database',
+        wordDatabase: 'wh_word_database',   // Before schema v4 - now split over the word shards
+        wordMeta: 'wh_word_meta',           // Before schema v4
+        wordShardPrefix: 'wh_words_',       // + shard number, holds { words, meta } for some source words
+        wordShards: 32,                     // Changing this needs a migration
         settings: 'wh_settings',
-        stats: 'wh_stats'
+        stats: 'wh_stats',
+        reviews: 'wh_reviews',
+        auditIgnored: 'wh_audit_ignored',
+        reminderDay: 'wh_reminder_day',
+        studyPin: 'wh_study_pin',       // Study-only PIN lock - only the background reads it
+        schemaVersion: 'wh_schema_version',
+        backupPrefix: 'wh_backup_v',    // + old schema version, written before migrating
+        snapshots: 'wh_snapshots',      // Snapshot list: [{ id, reason, date, words, bytes }]
+        snapshotPrefix: 'wh_snapshot_'  // + snapshot id, holds the snapshotted storage keys
     },
 
     // Timing settings (in ms)
@@ -82,7 +113,122 @@ const WocabeeConfig = {
         observerDebounce: 100,
         highlightDelay: 50,
         autoAnswerDelay: 500,
-        indexingInterval: 2000
+        indexingInterval: 2000,
+        saveDebounce: 1000
+    },
+
+    // Spaced repetition (SM-2) settings
+    scheduler: {
+        defaultEase: 2.5,
+        minEase: 1.3,
+        newCardsPerSession: 20,
+        historyLimit: 50
+    },
+
+    // Multiple choice settings
+    choices: {
+        optionCount: 4,
+        poolFactor: 2,      // Pick distractors among the best optionCount * poolFactor candidates
+        neighbourhood: 30   // Without package info, words indexed this close count as the same package
+    },
+
+    // Fuzzy search and typo tolerance
+    search: {
+        oneTypoLength: 4,       // Words this long may have one typo
+        twoTyposLength: 8,      // ...and this long two
+        shortWordLength: 3      // Extra words this short (articles, "to") still count as the same word
+    },
+
+    // Word pair audit settings
+    audit: {
+        maxLength: 40,      // Characters - longer entries are usually whole sentences or page text
+        maxWords: 5,
+        maxTargets: 4       // Unrelated translations of one word before it looks like a scraping mix-up
+    },
+
+    // Statistics dashboard settings
+    progress: {
+        hardestWords: 10,
+        missedWords: 20     // Size of the "words I keep missing" list and drill
+    },
+
+    // Review reminder settings
+    reminders: {
+        alarmName: 'wh-review-reminder',
+        checkInterval: 60,  // Minutes between checks for due reviews
+        earliestHour: 16    // No reminders before this hour - not during school
+    },
+
+    // Languages word pairs can be tagged with
+    // names: how Wocabee labels or flags the language, letters: characters only this language uses
+    languages: {
+        native: 'cs',
+        known: {
+            cs: { name: 'Czech', names: ['čeština', 'česky', 'czech', 'cz', 'cs'], letters: 'ěščřžůňťď', locale: 'cs-CZ' },
+            de: { name: 'German', names: ['němčina', 'německy', 'german', 'deutsch', 'de'], letters: 'äöüß', locale: 'de-DE' },
+            en: { name: 'English', names: ['angličtina', 'anglicky', 'english', 'en', 'gb', 'uk'], letters: '', locale: 'en-GB' },
+            fr: { name: 'French', names: ['francouzština', 'francouzsky', 'french', 'français', 'fr'], letters: 'àâæçèêëîïôœùûÿ', locale: 'fr-FR' },
+            es: { name: 'Spanish', names: ['španělština', 'španělsky', 'spanish', 'español', 'es'], letters: 'ñ¡¿', locale: 'es-ES' },
+            pl: { name: 'Polish', names: ['polština', 'polsky', 'polish', 'polski', 'pl'], letters: 'ąćęłńśźż', locale: 'pl-PL' },
+            it: { name: 'Italian', names: ['italština', 'italsky', 'italian', 'italiano', 'it'], letters: '', locale: 'it-IT' },
+            ru: { name: 'Russian', names: ['ruština', 'rusky', 'russian', 'русский', 'ru'], letters: 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя', locale: 'ru-RU' }
+        }
+    },
+
+    // Parts of speech a word pair can be marked as, with their labels
+    partsOfSpeech: {
+        noun: 'Noun',
+        verb: 'Verb',
+        adjective: 'Adjective',
+        adverb: 'Adverb',
+        pronoun: 'Pronoun',
+        preposition: 'Preposition',
+        conjunction: 'Conjunction',
+        numeral: 'Numeral',
+        phrase: 'Phrase'
+    },
+
+    // Pronunciation playback (Web Speech API)
+    speech: {
+        rate: 0.9,              // A little slower than normal speech
+        voiceTimeout: 1500      // ms to wait for the browser to list its voices
+    },
+
+    // Database snapshots - how many of each kind are kept, the oldest go first
+    snapshots: {
+        keep: {
+            clear: 3,           // Before Clear DB
+            import: 3,          // Before an import is merged
+            restore: 3,         // Before another snapshot is restored
+            daily: 7
+        }
+    },
+
+    // Spelling drill - accented letters offered as buttons, by the language being spelled
+    spelling: {
+        accents: {
+            cs: 'áčďéěíňóřšťúůýž',
+            de: 'äöüß',
+            fr: 'àâæçèéêëîïôœùûÿ',
+            es: 'áéíñóúü¿¡',
+            pl: 'ąćęłńóśźż',
+            it: 'àèéìíòóù'
+        }
+    },
+
+    // Matching game board
+    matching: {
+        columns: 4,
+        mismatchFlash: 700      // ms a wrong pair stays marked before it is turned back
+    },
+
+    // Study-only mode lock
+    studyOnly: {
+        pinPattern: /^\d{4,8}$/,    // PIN: 4 to 8 digits
+        pinIterations: 100000,      // PBKDF2 rounds for the salted PIN hash
+        freeTries: 5,               // Wrong PINs before each try has to wait
+        retryDelay: 30 * 1000,      // ms to wait after that, doubled with every further wrong PIN
+        maxRetryDelay: 60 * 60 * 1000
     },
 
     // Default settings
@@ -91,7 +237,13 @@ const WocabeeConfig = {
         showHints: true,
         autoAnswer: false,
         collectWords: true,
-        showTooltips: true
+        showTooltips: true,
+        dailyGoal: 20,      // Reviews per day
+        reminders: true,
+        autoSpeak: false,   // Read study words aloud as they appear
+        theme: 'auto',      // 'auto' (follow the system), 'light' or 'dark'
+        studyOnly: false,   // Hide all answers, only collect words
+        studyOnlyLocked: false  // A PIN locks study-only mode on - the background keeps the PIN
     }
 };
 
@@ -0,0 +1,85 @@
+/**
+ * WocabeeHelper Decks
+ * Word lists typed or pasted in by hand, for vocabulary that never appears on Wocabee.
+ * Deck words are stored with the scraped ones and list the decks they are in
+ */
+
+const WocabeeDecks = {
+    // Separators between a word and its translation, tried in order
+    separators: ['\t', ' - ', ' – ', ' — '],
+
+    /**
+     * Parse pasted lines like "word - translation" or "word<Tab>translation"
+     * Blank lines and # comments are skipped, repeated pairs count once
+     * Returns { pairs: [[source, target]], invalid: [{ line, text, reason }] }
+     */
+    parse(text) {
+        const pairs = [];
+        const invalid = [];
+        const seen = new Set();
+
+        (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const separator = this.separators.find(candidate => line.includes(candidate));
+            if (!separator) {
+                invalid.push({ line: index + 1, text: line, reason: 'No "-" or tab between the word and its translation' });
+                return;
+            }
+
+            const at = line.indexOf(separator);
+            const pair = WocabeeState.validatePair(line.slice(0, at), line.slice(at + separator.length), { scraped: false });
+            if (!pair) {
+                invalid.push({ line: index + 1, text: line, reason: 'Not a word pair (too short, a number or the same on both sides)' });
+                return;
+            }
+
+            const key = WocabeeState.pairKey(...pair);
+            if (seen.has(key)) return;
+            seen.add(key);
+            pairs.push(pair);
+        });
+
+        return { pairs, invalid };
+    },
+
+    /**
+     * Add word pairs to a deck, creating it if it is new
+     * Pairs already in the database join the deck too. `languages` is an optional
+     * [foreign, native] pair of language names, the way Wocabee labels scraped packages
+     * Returns how many pairs were new to the database
+     */
+    add(name, pairs, languages = null) {
+        const deck = (name || '').trim().replace(/\s+/g, ' ');
+        if (!deck) throw new Error('Give the deck a name');
+
+        return WocabeeState.addWords(pairs, {
+            deck,
+            url: null,
+            languages,
+            manual: true
+        });
+    },
+
+    /**
+     * Get the decks made by hand: [{ name, count, languages }], by name
+     * A deck's languages are the first ones given for any of its words
+     */
+    getDecks() {
+        const decks = new Map();
+        for (const meta of WocabeeState.wordMeta.values()) {
+            (meta.decks || []).forEach(name => {
+                if (!decks.has(name)) decks.set(name, { name, count: 0, languages: null });
+
+                const deck = decks.get(name);
+                deck.count++;
+                if (!deck.languages && meta.manual) deck.languages = meta.languages;
+            });
+        }
+        return [...decks.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+};
+
+// Make it available globally
+window.WocabeeDecks = WocabeeDecks;
@@ -90,6 +90,7 @@ const WocabeeDom = {
     addTooltip(element, text) {
         const tooltip = this.create('div', {
             className: WocabeeConfig.classes.tooltip,
+            ...WocabeeTheme.attributes(),
             text: text
         });
         
@@ -138,6 +139,7 @@ const WocabeeDom = {
         
         const hint = this.create('div', {
             className: `${WocabeeConfig.classes.tooltip} ${WocabeeConfig.classes.hint}`,
+            ...WocabeeTheme.attributes(),
             html: `💡 <strong>${hintText}</strong>`
         });
         
@@ -256,8 +258,8 @@ const WocabeeDom = {
         if (/^\d+$/.test(text.trim())) return true;
         if (/^\d{10,}$/.test(text.trim())) return true; // Timestamps
         
-        // Reject very short text (less than 2 actual letters)
-        const letterCount = (text.match(/[a-zA-ZáčďéěíňóřšťúůýžÁČĎÉĚÍŇÓŘŠŤÚŮÝŽäöüßÄÖÜ]/g) || []).length;
+        // Reject very short text (less than 2 actual letters, in any alphabet)
+        const letterCount = (text.match(/\p{L}/gu) || []).length;
         if (letterCount < 2) return true;
         
         // Reject if it's mostly numbers
@@ -265,22 +267,7 @@ const WocabeeDom = {
         if (digitCount > letterCount) return true;
         
         // UI patterns to reject
-        const uiPatterns = [
-            'next', 'continue', 'skip', 'submit', 'check', 'ok', 'cancel',
-            'correct', 'wrong', 'right', 'error', 'success',
-            'loading', 'please wait', 'score', 'points', 'progress',
-            'login', 'logout', 'sign', 'register', 'password',
-            'menu', 'home', 'back', 'settings', 'help',
-            'wocabee', 'copyright', '©', 'cookie', 'privacy',
-            'click', 'tap', 'press', 'select', 'choose',
-            // Extension's own UI text
-            'learning mode', 'wocabeehelper', 'indexed', 'words known',
-            'hint', 'answer', 'translation',
-            // Czech UI text
-            'seznam', 'balíků', 'balík', 'nastavení', 'odhlásit',
-            'přihlásit', 'pokračovat', 'zpět', 'další', 'hotovo',
-            'správně', 'špatně', 'chyba', 'body', 'skóre'
-        ];
+        const uiPatterns = WocabeeConfig.uiTextPatterns;
         
         // Exact match rejection
         if (uiPatterns.includes(lowerText)) return true;
@@ -398,6 +385,31 @@ const WocabeeDom = {
         return pairs;
     },
 
+    /**
+     * Get info about the Wocabee package/lesson shown on the page
+     * Used to group indexed words by where they came from
+     */
+    getPackageInfo() {
+        const selectors = WocabeeConfig.selectors;
+
+        // Package name from the page title element, if there is a sensible one
+        const title = this.find(selectors.packageTitle);
+        const titleText = title ? this.getText(title).replace(/\s+/g, ' ') : '';
+        const packageName = titleText && titleText.length < 100 ? titleText : null;
+
+        // Language pair from language labels or flag images
+        const languages = this.findAll(selectors.languageLabel)
+            .map(el => (this.getText(el) || el.getAttribute('alt') || el.getAttribute('title') || '').trim())
+            .filter(text => text && text.length < 30);
+        const uniqueLanguages = [...new Set(languages)];
+
+        return {
+            package: packageName,
+            url: location.href.split('#')[0],
+            languages: uniqueLanguages.length >= 2 ? uniqueLanguages.slice(0, 2) : null
+        };
+    },
+
     /**
      * Get the exercise type (selection, typing, game, etc.)
      */
@@ -0,0 +1,106 @@
+/**
+ * WocabeeHelper Exporter
+ * Converts the word database into formats other flashcard tools accept
+ */
+
+const WocabeeExporter = {
+    // Supported formats
+    formats: {
+        json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+        csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+        tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+        anki: { label: 'Anki', extension: 'txt', mimeType: 'text/plain' }
+    },
+
+    /**
+     * Export the database in the given format
+     * Returns { content, mimeType, filename }
+     */
+    export(format) {
+        const info = this.formats[format];
+        if (!info) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const builders = {
+            json: () => WocabeeState.exportDatabase(),
+            csv: () => this.toCSV(),
+            tsv: () => this.toTSV(),
+            anki: () => this.toAnki()
+        };
+
+        const date = new Date().toISOString().split('T')[0];
+        return {
+            content: builders[format](),
+            mimeType: `${info.mimeType};charset=utf-8`,
+            filename: `wocabee-words-${date}${format === 'anki' ? '-anki' : ''}.${info.extension}`
+        };
+    },
+
+    /**
+     * One row per word pair: source, target, package and decks, first seen date
+     */
+    getRows() {
+        return WocabeeState.getPairs().map(([source, target]) => {
+            const meta = WocabeeState.getMeta(source, target);
+            return [
+                source,
+                target,
+                WocabeeState.getPackageNames(meta).join(', '),
+                meta?.firstSeen ? new Date(meta.firstSeen).toISOString().split('T')[0] : ''
+            ];
+        });
+    },
+
+    /**
+     * Comma separated values with a header row
+     * Starts with a BOM so spreadsheet apps detect UTF-8 (diacritics)
+     */
+    toCSV() {
+        const quote = (value) => /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const lines = [['source', 'target', 'package', 'first_seen'], ...this.getRows()]
+            .map(row => row.map(quote).join(','));
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Tab separated values with a header row
+     */
+    toTSV() {
+        const clean = (value) => value.replace(/[\t\r\n]+/g, ' ');
+        const lines = [['source', 'target', 'package', 'first_seen'], ...this.getRows()]
+            .map(row => row.map(clean).join('\t'));
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Anki plain text import: one note per source word (front, back, tags)
+     * The header lines tell Anki the separator and which column holds tags
+     */
+    toAnki() {
+        const clean = (value) => value.replace(/[\t\r\n]+/g, ' ');
+        const tag = (name) => name.trim().replace(/\s+/g, '_');
+
+        const lines = [
+            '#separator:tab',
+            '#html:false',
+            '#tags column:3'
+        ];
+
+        for (const [source, targets] of WocabeeState.getEntries()) {
+            const targetArray = Array.isArray(targets) ? targets : [targets];
+            const tags = new Set(['wocabee']);
+            targetArray.forEach(target => {
+                WocabeeState.getPackageNames(WocabeeState.getMeta(source, target))
+                    .forEach(packageName => tags.add(tag(packageName)));
+            });
+
+            lines.push([clean(source), clean(targetArray.join(' / ')), [...tags].join(' ')].join('\t'));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+};
+
+// Make it available globally
+window.WocabeeExporter = WocabeeExporter;
@@ -0,0 +1,134 @@
+/**
+ * WocabeeHelper Answer Grader
+ * Tolerant checking of typed answers against the word database
+ */
+
+const WocabeeGrader = {
+    // Possible grading results
+    results: {
+        correct: 'correct',
+        diacritics: 'diacritics',
+        typo: 'typo',
+        wrong: 'wrong'
+    },
+
+    // Letter-by-letter results besides correct, diacritics and wrong
+    letters: {
+        extra: 'extra',         // Typed, but not in the word
+        missing: 'missing',     // In the word, but skipped
+        pending: 'pending'      // Not typed yet
+    },
+
+    /**
+     * Remove diacritics (č -> c, ů -> u, ä -> a)
+     */
+    stripDiacritics(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    },
+
+    /**
+     * Grade a typed answer against all accepted translations
+     * Case and extra whitespace are ignored the same way normalizeWord does.
+     * Needs utils/search.js for typo tolerance
+     */
+    grade(answer, accepted) {
+        const normalized = WocabeeState.normalizeWord(answer);
+        const candidates = (accepted || []).map(a => WocabeeState.normalizeWord(a)).filter(Boolean);
+
+        if (!normalized || candidates.length === 0) {
+            return { result: this.results.wrong, expected: candidates[0] || null };
+        }
+
+        // Exact match with any alternative
+        const exact = candidates.find(c => c === normalized);
+        if (exact) {
+            return { result: this.results.correct, expected: exact };
+        }
+
+        // Same letters, only the accents differ
+        const stripped = this.stripDiacritics(normalized);
+        const accentMiss = candidates.find(c => this.stripDiacritics(c) === stripped);
+        if (accentMiss) {
+            return { result: this.results.diacritics, expected: accentMiss };
+        }
+
+        // A typo or two, depending on the word length
+        const typo = candidates.find(c => {
+            const max = WocabeeSearch.getMaxDistance(c.length);
+            return WocabeeSearch.distance(stripped, this.stripDiacritics(c), max) <= max;
+        });
+        if (typo) {
+            return { result: this.results.typo, expected: typo };
+        }
+
+        return { result: this.results.wrong, expected: candidates[0] };
+    },
+
+    /**
+     * Compare a typed answer with the expected word letter by letter
+     * Letters are lined up by edit distance, so a skipped or extra letter doesn't shift every
+     * letter after it. With `partial` the answer is still being typed and the rest of the word
+     * is pending. Returns [{ result, typed, expected, index }] in word order - result is correct,
+     * diacritics (only the accent differs), wrong or one of `letters`, index the position in
+     * the expected word (for an extra letter, of the next expected letter)
+     */
+    compareLetters(answer, expected, partial = false) {
+        const typed = [...(answer || '').toLowerCase().normalize('NFC')];
+        const letters = [...(expected || '').toLowerCase().normalize('NFC')];
+
+        // An accent slip costs less than a wrong letter, so accented letters line up with their base letter
+        const cost = (a, b) => {
+            if (a === b) return 0;
+            return this.stripDiacritics(a) === this.stripDiacritics(b) ? 0.5 : 1;
+        };
+
+        // costs[i][j]: edits to turn the first i typed letters into the first j expected ones
+        const costs = [Array.from({ length: letters.length + 1 }, (_, j) => j)];
+        for (let i = 1; i <= typed.length; i++) {
+            costs[i] = [i];
+            for (let j = 1; j <= letters.length; j++) {
+                costs[i][j] = Math.min(
+                    costs[i - 1][j - 1] + cost(typed[i - 1], letters[j - 1]),
+                    costs[i - 1][j] + 1,
+                    costs[i][j - 1] + 1
+                );
+            }
+        }
+
+        // A partial answer may stop anywhere - on a tie, as far into the word as possible
+        let end = letters.length;
+        if (partial) {
+            const last = costs[typed.length];
+            end = last.reduce((best, value, j) => value <= last[best] ? j : best, 0);
+        }
+
+        const pending = letters.slice(end).map((letter, k) => ({
+            result: this.letters.pending, typed: null, expected: letter, index: end + k
+        }));
+
+        // Walk back through the table, preferring to pair letters up
+        const aligned = [];
+        let i = typed.length;
+        let j = end;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 && costs[i][j] === costs[i - 1][j - 1] + cost(typed[i - 1], letters[j - 1])) {
+                const step = cost(typed[i - 1], letters[j - 1]);
+                const result = step === 0 ? this.results.correct : step < 1 ? this.results.diacritics : this.results.wrong;
+                aligned.push({ result, typed: typed[i - 1], expected: letters[j - 1], index: j - 1 });
+                i--;
+                j--;
+            } else if (i > 0 && costs[i][j] === costs[i - 1][j] + 1) {
+                aligned.push({ result: this.letters.extra, typed: typed[i - 1], expected: null, index: j });
+                i--;
+            } else {
+                aligned.push({ result: this.letters.missing, typed: null, expected: letters[j - 1], index: j - 1 });
+                j--;
+            }
+        }
+
+        return [...aligned.reverse(), ...pending];
+    }
+};
+
+// Make it available globally
+window.WocabeeGrader = WocabeeGrader;
@@ -0,0 +1,99 @@
+/**
+ * WocabeeHelper Language Detection
+ * Works out which language each side of a word pair is in
+ */
+
+const WocabeeLanguages = {
+    /**
+     * Get the display name of a language code
+     */
+    getName(code) {
+        return WocabeeConfig.languages.known[code]?.name || null;
+    },
+
+    /**
+     * Check if a language code is the student's own language
+     */
+    isNative(code) {
+        return code === WocabeeConfig.languages.native;
+    },
+
+    /**
+     * Guess the language of a word from letters only one language uses
+     * Returns null when no language, or more than one, fits
+     */
+    detect(text) {
+        const chars = [...(text || '').toLowerCase()];
+        let best = null;
+        let bestScore = 0;
+        let tied = false;
+
+        for (const [code, { letters }] of Object.entries(WocabeeConfig.languages.known)) {
+            if (!letters) continue;
+            const score = chars.filter(char => letters.includes(char)).length;
+            if (score > bestScore) {
+                best = code;
+                bestScore = score;
+                tied = false;
+            } else if (score > 0 && score === bestScore) {
+                tied = true;
+            }
+        }
+
+        return tied ? null : best;
+    },
+
+    /**
+     * Turn a language label or flag from the page into a language code
+     */
+    fromLabel(label) {
+        const text = (label || '').toLowerCase().trim();
+        if (!text) return null;
+
+        for (const [code, { names }] of Object.entries(WocabeeConfig.languages.known)) {
+            // Two-letter codes must match exactly, full names may be part of a longer label
+            if (names.some(name => name.length <= 2 ? text === name : text.includes(name))) {
+                return code;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Tag both sides of a word pair with a language code (or null if unknown)
+     * Page labels give the language pair, the letters decide which side is which
+     */
+    tagPair(source, target, labels = null) {
+        const detected = {
+            source: this.detect(source),
+            target: this.detect(target)
+        };
+        // Same language on both sides is a scraping mistake, not something to trust
+        if (detected.source && detected.source === detected.target) {
+            return { source: null, target: null };
+        }
+
+        const codes = (labels || []).map(label => this.fromLabel(label));
+        const [first, second] = codes;
+        if (!first || !second || first === second) return detected;
+
+        // Swap the labels if the letters say the page lists them the other way round
+        const swapped = detected.source === second || detected.target === first;
+        return swapped
+            ? { source: second, target: first }
+            : { source: first, target: second };
+    },
+
+    /**
+     * Check if the source side of a word pair is the student's own language
+     * Untagged pairs keep their stored order, which treats the source as the foreign word
+     */
+    isNativeFirst(languages) {
+        if (!languages) return false;
+        if (languages.source) return this.isNative(languages.source);
+        return !!languages.target && !this.isNative(languages.target);
+    }
+};
+
+// Make it available globally
+window.WocabeeLanguages = WocabeeLanguages;
@@ -0,0 +1,232 @@
+/**
+ * WocabeeHelper Storage Migrations
+ * Upgrades stored data to the current schema version without losing words
+ */
+
+const WocabeeMigrations = {
+    // Set while a migration is running, so concurrent loads wait for it
+    running: null,
+
+    /**
+     * Migrations in order - each one upgrades data to its version
+     * Version 1 is the original format: no version key, word database only
+     */
+    migrations: [
+        {
+            version: 2,
+            description: 'Clean up word database and add metadata records for every pair',
+            migrate(data, helpers) {
+                const storage = WocabeeConfig.storage;
+                const words = helpers.read(data, storage.wordDatabase, {});
+                const meta = helpers.read(data, storage.wordMeta, {});
+
+                // Old entries may hold a single string instead of an array,
+                // and keys saved before normalizeWord existed may differ only in case
+                const cleaned = {};
+                for (const [source, targets] of Object.entries(words)) {
+                    const key = WocabeeState.normalizeWord(source);
+                    if (!key) continue;
+
+                    const targetArray = (Array.isArray(targets) ? targets : [targets])
+                        .map(t => WocabeeState.normalizeWord(t))
+                        .filter(Boolean);
+
+                    cleaned[key] = [...new Set([...(cleaned[key] || []), ...targetArray])];
+                    if (cleaned[key].length === 0) delete cleaned[key];
+                }
+
+                // Every pair gets a metadata record, stale records are dropped.
+                // When old pairs were first seen is unknown - null keeps them out of activity stats
+                const cleanedMeta = {};
+                for (const [source, targets] of Object.entries(cleaned)) {
+                    targets.forEach(target => {
+                        const key = WocabeeState.pairKey(source, target);
+                        cleanedMeta[key] = meta[key] || {
+                            package: null,
+                            url: null,
+                            languages: null,
+                            firstSeen: null
+                        };
+                    });
+                }
+
+                helpers.write(data, storage.wordDatabase, cleaned);
+                helpers.write(data, storage.wordMeta, cleanedMeta);
+            }
+        },
+        {
+            version: 3,
+            description: 'Tag both sides of every pair with its language',
+            migrate(data, helpers) {
+                const storage = WocabeeConfig.storage;
+                const meta = helpers.read(data, storage.wordMeta, {});
+
+                for (const [key, record] of Object.entries(meta)) {
+                    const [source, target] = key.split('\t');
+                    const tags = WocabeeLanguages.tagPair(source, target, record.languages);
+                    record.sourceLanguage = tags.source;
+                    record.targetLanguage = tags.target;
+                }
+
+                helpers.write(data, storage.wordMeta, meta);
+            }
+        },
+        {
+            version: 4,
+            description: 'Split word database and metadata into shards, so a change only rewrites one shard',
+            migrate(data, helpers) {
+                const storage = WocabeeConfig.storage;
+                const words = helpers.read(data, storage.wordDatabase, {});
+                const meta = helpers.read(data, storage.wordMeta, {});
+
+                const shards = {};
+                for (const [source, targets] of Object.entries(words)) {
+                    const key = WocabeeState.getShardKey(source);
+                    shards[key] = shards[key] || { words: {}, meta: {} };
+                    shards[key].words[source] = targets;
+                    targets.forEach(target => {
+                        const pairKey = WocabeeState.pairKey(source, target);
+                        if (meta[pairKey]) shards[key].meta[pairKey] = meta[pairKey];
+                    });
+                }
+
+                Object.entries(shards).forEach(([key, shard]) => helpers.write(data, key, shard));
+                helpers.remove(data, storage.wordDatabase);
+                helpers.remove(data, storage.wordMeta);
+            }
+        }
+    ],
+
+    /**
+     * The schema version this code writes
+     */
+    get currentVersion() {
+        return this.migrations[this.migrations.length - 1].version;
+    },
+
+    /**
+     * Run all pending migrations on chrome.storage
+     */
+    async run() {
+        if (typeof chrome === 'undefined' || !chrome.storage) return;
+
+        if (!this.running) {
+            this.running = this.migrateStorage().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    },
+
+    /**
+     * Upgrade stored data step by step to the current version
+     */
+    async migrateStorage() {
+        const storage = WocabeeConfig.storage;
+        const data = await chrome.storage.local.get(null);
+        const storedVersion = data[storage.schemaVersion] || 1;
+
+        if (storedVersion > this.currentVersion) {
+            this.log(`Stored schema v${storedVersion} is newer than v${this.currentVersion} - leaving data untouched`);
+            return;
+        }
+        if (storedVersion === this.currentVersion) {
+            // Loaded fine in the current format before - the copies from before migrating can go
+            await this.removeBackups(data);
+            return;
+        }
+
+        // Fresh install - nothing to migrate
+        if (!data[storage.schemaVersion] && !data[storage.wordDatabase]) {
+            await chrome.storage.local.set({ [storage.schemaVersion]: this.currentVersion });
+            return;
+        }
+
+        // Keep an untouched copy of the old database in case a migration goes wrong
+        const backupKey = `${storage.backupPrefix}${storedVersion}`;
+        const changes = {
+            [backupKey]: this.readWordDatabase(data)
+        };
+        const removed = new Set();
+
+        // A migration that throws leaves storage as it was - nothing is written until all have run
+        const helpers = {
+            read: (source, key, fallback) => {
+                if (!source[key]) return fallback;
+                try {
+                    return JSON.parse(source[key]);
+                } catch (error) {
+                    // Going on with the fallback would save it over the unreadable data
+                    throw new Error(`Could not read ${key}, migration stopped: ${error.message}`);
+                }
+            },
+            write: (target, key, value) => {
+                target[key] = JSON.stringify(value);
+                changes[key] = target[key];
+                removed.delete(key);
+            },
+            remove: (target, key) => {
+                delete target[key];
+                delete changes[key];
+                removed.add(key);
+            }
+        };
+
+        for (const migration of this.migrations) {
+            if (migration.version <= storedVersion) continue;
+
+            this.log(`Migrating storage to v${migration.version}: ${migration.description}`);
+            migration.migrate(data, helpers);
+            changes[storage.schemaVersion] = migration.version;
+        }
+
+        await chrome.storage.local.set(changes);
+        if (removed.size > 0) {
+            await chrome.storage.local.remove([...removed]);
+        }
+        this.log(`Storage migrated from v${storedVersion} to v${this.currentVersion}`);
+    },
+
+    /**
+     * Remove the copies of the word database kept from before a migration
+     */
+    async removeBackups(data) {
+        const backups = Object.keys(data).filter(key => key.startsWith(WocabeeConfig.storage.backupPrefix));
+        if (backups.length === 0) return;
+
+        await chrome.storage.local.remove(backups);
+        this.log(`Removed ${backups.length} pre-migration backups`);
+    },
+
+    /**
+     * Get the stored word database as one JSON string, whichever format it is saved in
+     */
+    readWordDatabase(data) {
+        const storage = WocabeeConfig.storage;
+        if (data[storage.wordDatabase]) return data[storage.wordDatabase];
+
+        const words = {};
+        Object.keys(data)
+            .filter(key => key.startsWith(storage.wordShardPrefix))
+            .forEach(key => {
+                try {
+                    Object.assign(words, JSON.parse(data[key]).words);
+                } catch (error) {
+                    this.log(`Skipping unreadable shard ${key}`);
+                }
+            });
+        return JSON.stringify(words);
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Migrations]`, 'color: #795548; font-weight: bold;', ...args);
+        }
+    }
+};
+
+// Make it available globally
+window.WocabeeMigrations = WocabeeMigrations;
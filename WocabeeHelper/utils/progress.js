@@ -0,0 +1,192 @@
+/**
+ * WocabeeHelper Learning Progress
+ * Turns review history and word metadata into learning statistics
+ */
+
+const WocabeeProgress = {
+    /**
+     * Get the local calendar day of a timestamp as YYYY-MM-DD
+     */
+    dayKey(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Get the day keys of the last `count` days, oldest first, ending today
+     */
+    getDays(count, now = Date.now()) {
+        const days = [];
+        const date = new Date(now);
+        for (let i = 0; i < count; i++) {
+            days.unshift(this.dayKey(date));
+            date.setDate(date.getDate() - 1);
+        }
+        return days;
+    },
+
+    /**
+     * Check if a review grade counts as a correct answer (SM-2: 3 and up)
+     */
+    isCorrect(grade) {
+        return grade >= 3;
+    },
+
+    /**
+     * Get every review of word pairs that are still in the database
+     * Returns [{ source, target, date, grade }] in no particular order
+     */
+    getReviews() {
+        const reviews = [];
+        for (const [key, record] of WocabeeScheduler.records) {
+            const [source, target] = key.split('\t');
+            if (!WocabeeState.hasPair(source, target)) continue;
+
+            record.history.forEach(({ date, grade }) => {
+                reviews.push({ source, target, date, grade });
+            });
+        }
+        return reviews;
+    },
+
+    /**
+     * Get the day each pair was first answered correctly
+     * Returns a Map of pair key -> timestamp
+     */
+    getLearnedDates() {
+        const learned = new Map();
+        for (const [key, record] of WocabeeScheduler.records) {
+            const [source, target] = key.split('\t');
+            if (!WocabeeState.hasPair(source, target)) continue;
+
+            const first = record.history.find(({ grade }) => this.isCorrect(grade));
+            if (first) learned.set(key, first.date);
+        }
+        return learned;
+    },
+
+    /**
+     * Count activity per day for the last `days` days
+     * Returns [{ day, indexed, learned, reviews, correct }], oldest first
+     */
+    getDailyActivity(days = 30, now = Date.now()) {
+        const activity = new Map(this.getDays(days, now).map(day => [day, {
+            day,
+            indexed: 0,
+            learned: 0,
+            reviews: 0,
+            correct: 0
+        }]));
+        const count = (timestamp, field) => {
+            const entry = activity.get(this.dayKey(timestamp));
+            if (entry) entry[field]++;
+        };
+
+        // Pairs kept from before dates were recorded have no firstSeen
+        WocabeeState.wordMeta.forEach(meta => {
+            if (meta.firstSeen) count(meta.firstSeen, 'indexed');
+        });
+        this.getLearnedDates().forEach(date => count(date, 'learned'));
+        this.getReviews().forEach(({ date, grade }) => {
+            count(date, 'reviews');
+            if (this.isCorrect(grade)) count(date, 'correct');
+        });
+
+        return [...activity.values()];
+    },
+
+    /**
+     * Get study streaks - consecutive days with at least one review
+     * The current streak stays alive until a whole day is missed
+     */
+    getStreaks(now = Date.now()) {
+        const studied = new Set(this.getReviews().map(({ date }) => this.dayKey(date)));
+        if (studied.size === 0) return { current: 0, longest: 0 };
+
+        // Longest run over all study days
+        const sorted = [...studied].sort();
+        let longest = 1;
+        let run = 1;
+        for (let i = 1; i < sorted.length; i++) {
+            const previous = new Date(`${sorted[i - 1]}T12:00:00`);
+            previous.setDate(previous.getDate() + 1);
+            run = this.dayKey(previous) === sorted[i] ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        }
+
+        // Current run, counting back from today (or yesterday if not studied yet today)
+        let current = 0;
+        const date = new Date(now);
+        if (!studied.has(this.dayKey(date))) date.setDate(date.getDate() - 1);
+        while (studied.has(this.dayKey(date))) {
+            current++;
+            date.setDate(date.getDate() - 1);
+        }
+
+        return { current, longest };
+    },
+
+    /**
+     * Get the words with the most lapses and lowest accuracy
+     * Returns [{ source, target, reviews, correct, accuracy, lapses, ease }]
+     */
+    getHardestWords(limit = WocabeeConfig.progress.hardestWords) {
+        const words = [];
+        for (const [key, record] of WocabeeScheduler.records) {
+            const [source, target] = key.split('\t');
+            if (!WocabeeState.hasPair(source, target)) continue;
+
+            const reviews = record.history.length;
+            const correct = record.history.filter(({ grade }) => this.isCorrect(grade)).length;
+            if (reviews === 0 || correct === reviews) continue;
+
+            words.push({
+                source,
+                target,
+                reviews,
+                correct,
+                accuracy: correct / reviews,
+                lapses: record.lapses,
+                ease: record.ease
+            });
+        }
+
+        words.sort((a, b) =>
+            b.lapses - a.lapses ||
+            a.accuracy - b.accuracy ||
+            a.ease - b.ease
+        );
+        return words.slice(0, limit);
+    },
+
+    /**
+     * Get today's progress towards the daily review goal: { done, goal, due }
+     */
+    getGoalProgress(now = Date.now()) {
+        const [today] = this.getDailyActivity(1, now);
+        return {
+            done: today.reviews,
+            goal: WocabeeState.settings.dailyGoal,
+            due: WocabeeScheduler.getCounts(now).due
+        };
+    },
+
+    /**
+     * Get overall totals: { indexed, learned, reviews, accuracy }
+     * Accuracy is null before the first review
+     */
+    getSummary() {
+        const reviews = this.getReviews();
+        const correct = reviews.filter(({ grade }) => this.isCorrect(grade)).length;
+        return {
+            indexed: WocabeeState.getPairs().length,
+            learned: this.getLearnedDates().size,
+            reviews: reviews.length,
+            accuracy: reviews.length > 0 ? correct / reviews.length : null
+        };
+    }
+};
+
+// Make it available globally
+window.WocabeeProgress = WocabeeProgress;
@@ -0,0 +1,273 @@
+/**
+ * WocabeeHelper Spaced Repetition Scheduler
+ * SM-2 style scheduling of word pairs for review sessions
+ * Only the background service worker writes the review records - other contexts
+ * send their reviews to it with WocabeeStore.request() and reload on storage changes
+ */
+
+const WocabeeScheduler = {
+    // Review records - maps pair keys to { ease, interval, repetitions, lapses, due, history }
+    records: new Map(),
+
+    // Set once this copy follows the stored records
+    isWatching: false,
+
+    // Pending batched save in the background
+    saveTimer: null,
+
+    /**
+     * Initialize scheduler from storage
+     * Outside the background the copy then follows changes made elsewhere
+     */
+    async init() {
+        await this.loadFromStorage();
+        if (!WocabeeStore.isOwner && !this.isWatching) {
+            this.isWatching = true;
+            this.watchStorage();
+        }
+        this.log('Scheduler initialized', { records: this.records.size });
+    },
+
+    /**
+     * Load review records from chrome.storage
+     */
+    async loadFromStorage() {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            try {
+                const data = await chrome.storage.local.get(WocabeeConfig.storage.reviews);
+                this.applyStoredData(data[WocabeeConfig.storage.reviews]);
+            } catch (error) {
+                this.log('Storage load error:', error);
+            }
+        }
+    },
+
+    /**
+     * Replace the records with a stored value (JSON string, missing when there are none)
+     */
+    applyStoredData(value) {
+        this.records = new Map(Object.entries(value ? JSON.parse(value) : {}));
+    },
+
+    /**
+     * Reload when the background saves reviews made in another context, or removes them
+     */
+    watchStorage(onChange) {
+        if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            const change = changes[WocabeeConfig.storage.reviews];
+            if (area !== 'local' || !change) return;
+
+            this.applyStoredData(change.newValue);
+            if (onChange) onChange();
+        });
+    },
+
+    /**
+     * Save review records to chrome.storage
+     * Only the background service worker calls this - see commit()
+     */
+    async saveToStorage() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            try {
+                await chrome.storage.local.set({
+                    [WocabeeConfig.storage.reviews]: JSON.stringify(Object.fromEntries(this.records))
+                });
+            } catch (error) {
+                this.log('Storage save error:', error);
+            }
+        }
+    },
+
+    /**
+     * Save changed records shortly after the last change, so a quick run of reviews is one write
+     * Like WocabeeState.commit() - clearing, importing and snapshots save right away instead
+     */
+    commit() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveToStorage(), WocabeeConfig.timing.saveDebounce);
+    },
+
+    /**
+     * Save a pending batched save now
+     */
+    async flush() {
+        if (this.saveTimer) await this.saveToStorage();
+    },
+
+    /**
+     * Get the review record for a word pair (null if never reviewed)
+     */
+    getRecord(source, target) {
+        return this.records.get(WocabeeState.pairKey(source, target)) || null;
+    },
+
+    /**
+     * Create a record for a word pair that has not been reviewed yet
+     */
+    createRecord() {
+        return {
+            ease: WocabeeConfig.scheduler.defaultEase,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            due: Date.now(),
+            history: []
+        };
+    },
+
+    /**
+     * Grade a review and schedule the next one
+     * Grade uses the SM-2 scale: 0-2 = forgotten, 3 = hard, 4 = good, 5 = easy
+     */
+    async review(source, target, grade, now = Date.now()) {
+        if (!WocabeeStore.isOwner) {
+            const { record } = await WocabeeStore.request('review', { source, target, grade, now });
+            this.records.set(WocabeeState.pairKey(source, target), record);
+            return record;
+        }
+
+        const config = WocabeeConfig.scheduler;
+        const key = WocabeeState.pairKey(source, target);
+        const record = this.records.get(key) || this.createRecord();
+
+        grade = Math.max(0, Math.min(5, Math.round(grade)));
+
+        if (grade >= 3) {
+            if (record.repetitions === 0) {
+                record.interval = 1;
+            } else if (record.repetitions === 1) {
+                record.interval = 6;
+            } else {
+                record.interval = Math.round(record.interval * record.ease);
+            }
+            record.repetitions++;
+        } else {
+            record.repetitions = 0;
+            record.interval = 1;
+            record.lapses++;
+        }
+
+        // SM-2 ease factor update
+        const penalty = 5 - grade;
+        record.ease = Math.max(config.minEase, record.ease + (0.1 - penalty * (0.08 + penalty * 0.02)));
+        record.ease = Math.round(record.ease * 100) / 100;
+        record.due = now + record.interval * 24 * 60 * 60 * 1000;
+
+        record.history.push({ date: now, grade });
+        if (record.history.length > config.historyLimit) {
+            record.history = record.history.slice(-config.historyLimit);
+        }
+
+        this.records.set(key, record);
+        this.commit();
+        this.log(`Reviewed "${source}" -> "${target}" (grade ${grade}), next in ${record.interval}d`);
+        return record;
+    },
+
+    /**
+     * Carry the review progress over when a word pair is edited
+     */
+    async moveRecord(oldSource, oldTarget, newSource, newTarget) {
+        if (!WocabeeStore.isOwner) {
+            await WocabeeStore.request('moveReview', { oldSource, oldTarget, source: newSource, target: newTarget });
+            return;
+        }
+
+        const oldKey = WocabeeState.pairKey(oldSource, oldTarget);
+        const newKey = WocabeeState.pairKey(newSource, newTarget);
+        const record = this.records.get(oldKey);
+        if (!record || oldKey === newKey) return;
+
+        this.records.delete(oldKey);
+        if (!this.records.has(newKey)) {
+            this.records.set(newKey, record);
+        }
+        this.commit();
+    },
+
+    /**
+     * Forget the review progress of a deleted word pair
+     */
+    async removeRecord(source, target) {
+        if (!WocabeeStore.isOwner) {
+            await WocabeeStore.request('removeReview', { source, target });
+            return;
+        }
+
+        if (this.records.delete(WocabeeState.pairKey(source, target))) {
+            this.commit();
+        }
+    },
+
+    /**
+     * Pick the next cards to review
+     * Due cards come first, hardest (lowest ease, most lapses) first,
+     * followed by a limited number of never-reviewed cards
+     */
+    getDueCards({ limit = Infinity, now = Date.now(), packageName = null } = {}) {
+        const due = [];
+        const fresh = [];
+
+        for (const [source, target] of WocabeeState.getPairs(packageName)) {
+            const record = this.getRecord(source, target);
+            if (!record) {
+                fresh.push({ source, target });
+            } else if (record.due <= now) {
+                due.push({ source, target, record });
+            }
+        }
+
+        due.sort((a, b) =>
+            a.record.ease - b.record.ease ||
+            b.record.lapses - a.record.lapses ||
+            a.record.due - b.record.due
+        );
+
+        const cards = [
+            ...due.map(({ source, target }) => ({ source, target })),
+            ...fresh.slice(0, WocabeeConfig.scheduler.newCardsPerSession)
+        ];
+        return cards.slice(0, limit);
+    },
+
+    /**
+     * Count due, new and scheduled pairs
+     */
+    getCounts(now = Date.now()) {
+        const counts = { due: 0, new: 0, scheduled: 0 };
+        for (const [source, target] of WocabeeState.getPairs()) {
+            const record = this.getRecord(source, target);
+            if (!record) counts.new++;
+            else if (record.due <= now) counts.due++;
+            else counts.scheduled++;
+        }
+        return counts;
+    },
+
+    /**
+     * Get the timestamp of the next upcoming review (null if none)
+     */
+    getNextDue() {
+        let next = null;
+        for (const record of this.records.values()) {
+            if (next === null || record.due < next) next = record.due;
+        }
+        return next;
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Scheduler]`, 'color: #3F51B5; font-weight: bold;', ...args);
+        }
+    }
+};
+
+// Make it available globally
+window.WocabeeScheduler = WocabeeScheduler;
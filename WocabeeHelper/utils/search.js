@@ -0,0 +1,267 @@
+/**
+ * WocabeeHelper Search Index
+ * Accent-insensitive, word-by-word search over the word database, ranked by edit distance
+ */
+
+const WocabeeSearch = {
+    // Every source and target word: [{ text, simple, tokens, translations }]
+    terms: [],
+
+    // Simplified word -> Set of term indexes containing it
+    tokens: new Map(),
+
+    // Simplified word with up to two letters left out -> simplified words it comes from.
+    // Two words a few typos apart always share such a variant, so only those are compared
+    deletions: new Map(),
+
+    // Simplified words in sorted order, so the words a prefix starts are next to each other
+    sorted: [],
+
+    // WocabeeState.revision the index was built from
+    revision: null,
+
+    /**
+     * Lowercase and strip accents (č -> c, ů -> u, ä -> a)
+     */
+    simplify(text) {
+        return (text || '').toLowerCase().trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    },
+
+    /**
+     * Split text into simplified words, dropping punctuation
+     */
+    tokenize(text) {
+        return this.simplify(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    },
+
+    /**
+     * Get the number of typos tolerated in a word of this length
+     */
+    getMaxDistance(length) {
+        if (length >= WocabeeConfig.search.twoTyposLength) return 2;
+        if (length >= WocabeeConfig.search.oneTypoLength) return 1;
+        return 0;
+    },
+
+    /**
+     * Edit distance between two strings - a missing, extra, wrong or swapped letter is one edit
+     * Stops early and returns max + 1 once the distance is known to be above max
+     */
+    distance(a, b, max = Infinity) {
+        if (a === b) return 0;
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return Math.min(previous[b.length], max + 1);
+    },
+
+    /**
+     * Get a word and every variant of it with up to `count` letters left out
+     */
+    getDeletions(token, count) {
+        const variants = new Set([token]);
+        let last = variants;
+        for (let i = 0; i < count; i++) {
+            const next = new Set();
+            last.forEach(variant => {
+                for (let j = 0; j < variant.length; j++) {
+                    next.add(variant.slice(0, j) + variant.slice(j + 1));
+                }
+            });
+            next.forEach(variant => variants.add(variant));
+            last = next;
+        }
+        return variants;
+    },
+
+    /**
+     * Rebuild the index if the word database changed since it was built
+     */
+    ensureIndex() {
+        if (this.revision === WocabeeState.revision) return;
+
+        // A word can be a source and a target at once - its translations are merged
+        const byText = new Map();
+        const add = (text, translations) => {
+            if (!byText.has(text)) {
+                byText.set(text, {
+                    text,
+                    simple: this.tokenize(text).join(' '),
+                    tokens: this.tokenize(text),
+                    translations: []
+                });
+            }
+            const term = byText.get(text);
+            (Array.isArray(translations) ? translations : [translations]).forEach(translation => {
+                if (!term.translations.includes(translation)) term.translations.push(translation);
+            });
+        };
+        WocabeeState.wordDatabase.forEach((targets, source) => add(source, targets));
+        WocabeeState.reverseDatabase.forEach((sources, target) => add(target, sources));
+
+        this.terms = [...byText.values()];
+        this.tokens.clear();
+        this.terms.forEach((term, index) => {
+            term.tokens.forEach(token => {
+                if (!this.tokens.has(token)) this.tokens.set(token, new Set());
+                this.tokens.get(token).add(index);
+            });
+        });
+
+        // A query word is at most two letters longer than the words it can match,
+        // so enough letters are left out for the typos allowed in a word that long
+        this.deletions.clear();
+        this.sorted = [...this.tokens.keys()].sort();
+        this.sorted.forEach(token => {
+            this.getDeletions(token, this.getMaxDistance(token.length + 2)).forEach(variant => {
+                if (!this.deletions.has(variant)) this.deletions.set(variant, []);
+                this.deletions.get(variant).push(token);
+            });
+        });
+
+        this.revision = WocabeeState.revision;
+        this.log('Index built', { terms: this.terms.length, tokens: this.tokens.size, variants: this.deletions.size });
+    },
+
+    /**
+     * Compare a query word with a word of a term
+     * Returns the cost - 0 exact, 0.5 prefix, else the number of typos - or null if too different
+     */
+    tokenCost(queryToken, token, prefix) {
+        if (token === queryToken) return 0;
+        if (prefix && queryToken.length >= 2 && token.startsWith(queryToken)) return 0.5;
+
+        const max = this.getMaxDistance(queryToken.length);
+        const distance = this.distance(queryToken, token, max);
+        return distance <= max ? distance : null;
+    },
+
+    /**
+     * Get the indexed words a query word could match - only these are compared with it
+     * Words within the tolerated typos share a variant with letters left out, and the
+     * words starting with the query word are one run of the sorted list
+     */
+    getCandidates(queryToken, prefix) {
+        const candidates = new Set();
+        this.getDeletions(queryToken, this.getMaxDistance(queryToken.length)).forEach(variant => {
+            this.deletions.get(variant)?.forEach(token => candidates.add(token));
+        });
+
+        if (prefix && queryToken.length >= 2) {
+            // Binary search for the first word not sorted before the query word
+            let low = 0;
+            let high = this.sorted.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (this.sorted[middle] < queryToken) low = middle + 1;
+                else high = middle;
+            }
+            for (let i = low; i < this.sorted.length && this.sorted[i].startsWith(queryToken); i++) {
+                candidates.add(this.sorted[i]);
+            }
+        }
+        return candidates;
+    },
+
+    /**
+     * Find the terms containing a word close to a query word
+     * Returns a Map of term index -> lowest cost
+     */
+    matchToken(queryToken, prefix) {
+        const matches = new Map();
+
+        for (const token of this.getCandidates(queryToken, prefix)) {
+            const cost = this.tokenCost(queryToken, token, prefix);
+            if (cost === null) continue;
+
+            this.tokens.get(token).forEach(index => {
+                if (!matches.has(index) || matches.get(index) > cost) matches.set(index, cost);
+            });
+        }
+        return matches;
+    },
+
+    /**
+     * Search source and target words
+     * Every query word must match a word of the term, exactly, as a prefix or with a few typos.
+     * With `prefix: false` prefixes don't count, and with `whole: true` the term may only
+     * have extra words as short as articles ("der", "to", "se")
+     * Returns [{ text, translations, cost }], best match first
+     */
+    search(query, { prefix = true, whole = false } = {}) {
+        const queryTokens = this.tokenize(query);
+        if (queryTokens.length === 0) return [];
+        this.ensureIndex();
+
+        // Terms must match every query word - costs add up
+        let costs = null;
+        queryTokens.forEach(queryToken => {
+            const matches = this.matchToken(queryToken, prefix);
+            if (!costs) {
+                costs = matches;
+                return;
+            }
+            for (const [index, cost] of costs) {
+                if (matches.has(index)) {
+                    costs.set(index, cost + matches.get(index));
+                } else {
+                    costs.delete(index);
+                }
+            }
+        });
+
+        const simpleQuery = queryTokens.join(' ');
+        const results = [];
+        for (const [index, cost] of costs) {
+            const term = this.terms[index];
+            const extraWords = term.tokens.filter(token =>
+                !queryTokens.some(queryToken => this.tokenCost(queryToken, token, prefix) !== null));
+            if (whole && extraWords.some(token => token.length > WocabeeConfig.search.shortWordLength)) continue;
+
+            results.push({
+                text: term.text,
+                translations: term.translations,
+                cost,
+                exact: term.simple === simpleQuery,
+                extra: extraWords.length
+            });
+        }
+
+        results.sort((a, b) =>
+            b.exact - a.exact ||
+            a.cost - b.cost ||
+            a.extra - b.extra ||
+            a.text.length - b.text.length ||
+            a.text.localeCompare(b.text)
+        );
+        return results.map(({ text, translations, cost }) => ({ text, translations, cost }));
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Search]`, 'color: #3F51B5; font-weight: bold;', ...args);
+        }
+    }
+};
+
+// Make it available globally
+window.WocabeeSearch = WocabeeSearch;
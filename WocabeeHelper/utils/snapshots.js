@@ -0,0 +1,171 @@
+/**
+ * WocabeeHelper Database Snapshots
+ * Rotating local copies of the word database, taken before it is cleared or imported into
+ * and once a day, that can be restored later. The background service worker takes and
+ * restores them - other contexts ask it to with WocabeeStore.request()
+ */
+
+const WocabeeSnapshots = {
+    /**
+     * Get the storage keys a snapshot holds - everything clearing or importing can change
+     */
+    getKeys() {
+        return [
+            ...WocabeeState.getShardKeys(),
+            WocabeeConfig.storage.stats,
+            WocabeeConfig.storage.reviews,
+            WocabeeConfig.storage.auditIgnored
+        ];
+    },
+
+    /**
+     * Get the saved snapshots: [{ id, reason, date, words, bytes }], newest first
+     */
+    async list() {
+        if (!WocabeeStore.isOwner) {
+            const { snapshots } = await WocabeeStore.request('listSnapshots');
+            return snapshots;
+        }
+
+        const data = await chrome.storage.local.get(WocabeeConfig.storage.snapshots);
+        return JSON.parse(data[WocabeeConfig.storage.snapshots] || '[]');
+    },
+
+    /**
+     * Save a snapshot of the current database and drop the oldest ones of the same reason
+     * Reasons: 'clear', 'import', 'restore' or 'daily'. Returns the snapshot, or null
+     * if the database is empty and there is nothing worth keeping.
+     * The snapshot `keepId` is never rotated out - a restore keeps the one it restores
+     */
+    async take(reason, now = Date.now(), keepId = null) {
+        if (!WocabeeStore.isOwner) {
+            const { snapshot } = await WocabeeStore.request('takeSnapshot', { reason });
+            return snapshot;
+        }
+
+        if (!WocabeeConfig.snapshots.keep[reason]) throw new Error(`Unknown snapshot reason: ${reason}`);
+        if (WocabeeState.wordDatabase.size === 0) return null;
+
+        // Snapshot what is stored, including changes still waiting for the batched save
+        await WocabeeState.saveToStorage();
+        await WocabeeScheduler.flush();
+        const json = JSON.stringify(await chrome.storage.local.get(this.getKeys()));
+
+        const snapshot = {
+            id: `${now}-${reason}`,
+            reason,
+            date: now,
+            words: WocabeeState.getPairs().length,
+            bytes: new TextEncoder().encode(json).length
+        };
+
+        const snapshots = [snapshot, ...await this.list()];
+        const dropped = snapshots
+            .filter(({ id, reason: other }) => other === reason && id !== keepId)
+            .slice(WocabeeConfig.snapshots.keep[reason]);
+        const kept = snapshots.filter(entry => !dropped.includes(entry));
+
+        await chrome.storage.local.set({
+            [this.getStorageKey(snapshot.id)]: json,
+            [WocabeeConfig.storage.snapshots]: JSON.stringify(kept)
+        });
+        if (dropped.length > 0) {
+            await chrome.storage.local.remove(dropped.map(({ id }) => this.getStorageKey(id)));
+        }
+
+        this.log(`Snapshot taken (${reason})`, snapshot);
+        return snapshot;
+    },
+
+    /**
+     * Replace the database with a snapshot
+     * The current database is snapshotted first, so a restore can be undone too
+     */
+    async restore(id) {
+        if (!WocabeeStore.isOwner) {
+            await WocabeeStore.request('restoreSnapshot', { id });
+            return;
+        }
+
+        const key = this.getStorageKey(id);
+        const stored = (await chrome.storage.local.get(key))[key];
+        if (!stored) throw new Error('Snapshot not found');
+
+        await this.take('restore', Date.now(), id);
+
+        // Shards that were empty when the snapshot was taken are emptied now
+        const saved = JSON.parse(stored);
+        const emptyShard = JSON.stringify({ words: {}, meta: {} });
+        const data = {};
+        const missing = [];
+        this.getKeys().forEach(storageKey => {
+            if (saved[storageKey] !== undefined) {
+                data[storageKey] = saved[storageKey];
+            } else if (WocabeeState.isShardKey(storageKey)) {
+                data[storageKey] = emptyShard;
+            } else {
+                missing.push(storageKey);
+            }
+        });
+
+        // Drop unsaved changes - they would be written over the restored data
+        clearTimeout(WocabeeState.saveTimer);
+        WocabeeState.unsaved.clear();
+        clearTimeout(WocabeeScheduler.saveTimer);
+
+        await chrome.storage.local.set(data);
+        if (missing.length > 0) await chrome.storage.local.remove(missing);
+
+        // Other contexts pick the restored data up from the storage change
+        WocabeeState.applyStoredData(data);
+        await WocabeeScheduler.loadFromStorage();
+        await WocabeeAuditor.loadFromStorage();
+
+        this.log('Snapshot restored', id);
+    },
+
+    /**
+     * Delete a snapshot
+     */
+    async remove(id) {
+        if (!WocabeeStore.isOwner) {
+            await WocabeeStore.request('deleteSnapshot', { id });
+            return;
+        }
+
+        const snapshots = (await this.list()).filter(snapshot => snapshot.id !== id);
+        await chrome.storage.local.set({ [WocabeeConfig.storage.snapshots]: JSON.stringify(snapshots) });
+        await chrome.storage.local.remove(this.getStorageKey(id));
+    },
+
+    /**
+     * Take the daily snapshot if today's is still missing
+     */
+    async checkDaily(now = Date.now()) {
+        const today = WocabeeProgress.dayKey(now);
+        const snapshots = await this.list();
+        if (snapshots.some(({ reason, date }) => reason === 'daily' && WocabeeProgress.dayKey(date) === today)) {
+            return null;
+        }
+        return this.take('daily', now);
+    },
+
+    /**
+     * Get the storage key a snapshot's data is saved under
+     */
+    getStorageKey(id) {
+        return `${WocabeeConfig.storage.snapshotPrefix}${id}`;
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Snapshots]`, 'color: #8D6E63; font-weight: bold;', ...args);
+        }
+    }
+};
+
+// Make it available globally
+window.WocabeeSnapshots = WocabeeSnapshots;
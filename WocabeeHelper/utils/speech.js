@@ -0,0 +1,98 @@
+/**
+ * WocabeeHelper Speech
+ * Reads words aloud with the browser's text-to-speech voices (Web Speech API)
+ */
+
+const WocabeeSpeech = {
+    // Voices the browser offers, loaded by init()
+    voices: [],
+
+    /**
+     * Check if the browser can speak at all
+     */
+    isSupported() {
+        return typeof speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined';
+    },
+
+    /**
+     * Load the available voices
+     * Chrome lists them asynchronously, so wait for voiceschanged (but not forever)
+     */
+    async init() {
+        if (!this.isSupported()) return;
+
+        this.voices = speechSynthesis.getVoices();
+        if (this.voices.length === 0) {
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, WocabeeConfig.speech.voiceTimeout);
+                speechSynthesis.addEventListener('voiceschanged', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            });
+            this.voices = speechSynthesis.getVoices();
+        }
+        this.log('Voices loaded', this.voices.length);
+    },
+
+    /**
+     * Find the best voice for a language code - the configured locale first,
+     * then any voice of that language, local voices before network ones
+     */
+    getVoice(code) {
+        const locale = WocabeeConfig.languages.known[code]?.locale;
+        if (!locale) return null;
+
+        const language = (voice) => voice.lang.replace('_', '-').toLowerCase();
+        const candidates = this.voices
+            .filter(voice => language(voice).split('-')[0] === code)
+            .sort((a, b) =>
+                (language(b) === locale.toLowerCase()) - (language(a) === locale.toLowerCase()) ||
+                b.localService - a.localService
+            );
+        return candidates[0] || null;
+    },
+
+    /**
+     * Check if a word in this language can be read aloud
+     */
+    canSpeak(code) {
+        return this.isSupported() && !!this.getVoice(code);
+    },
+
+    /**
+     * Read a word aloud in the given language, stopping anything still playing
+     * Resolves when it has been spoken, or right away with false if it can't be
+     */
+    speak(text, code) {
+        const voice = this.getVoice(code);
+        if (!this.isSupported() || !voice || !text) return Promise.resolve(false);
+
+        speechSynthesis.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+        utterance.rate = WocabeeConfig.speech.rate;
+
+        return new Promise(resolve => {
+            utterance.onend = () => resolve(true);
+            utterance.onerror = (event) => {
+                this.log('Speech error:', event.error);
+                resolve(false);
+            };
+            speechSynthesis.speak(utterance);
+        });
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Speech]`, 'color: #00BCD4; font-weight: bold;', ...args);
+        }
+    }
+};
+
+// Make it available globally
+window.WocabeeSpeech = WocabeeSpeech;
@@ -1,6 +1,7 @@
 /**
  * WocabeeHelper State Management
  * Handles word database, settings, and runtime state
+ * Every context keeps a copy in memory; only the background service worker writes it to storage
  */
 
 const WocabeeState = {
@@ -14,6 +15,14 @@ const WocabeeState = {
     
     // Reverse lookup - maps translations back to source
     reverseDatabase: new Map(),
+
+    // Word metadata - maps pair keys to
+    // { package, url, languages, sourceLanguage, targetLanguage, firstSeen, mistakes, lastMistake,
+    //   notes, examples, partOfSpeech, tags, manual, decks, matching } - firstSeen: null if unknown (saved before dates were kept),
+    //   manual: typed into a deck, not scraped,
+    //   decks: names of the hand-made decks the pair was added to,
+    //   matching: { plays, mismatches, bestTime, lastTime, lastPlayed } from the matching game
+    wordMeta: new Map(),
     
     // Session statistics
     stats: {
@@ -25,6 +34,23 @@ const WocabeeState = {
     // User settings
     settings: { ...WocabeeConfig.defaults },
 
+    // Bumped on every change, so indexes built from the database know when to rebuild
+    revision: 0,
+
+    // Package and deck name -> language labels its pairs were saved with, for `revision`
+    packageLanguages: { revision: null, labels: new Map() },
+
+    // Why the saved words couldn't be brought up to date (null if they could). Nothing is
+    // saved while it is set - the next start migrates again, over anything saved meanwhile
+    storageError: null,
+
+    // Study-only PIN lock: { hash, salt, failures, retryAt } - only the background loads and saves it
+    pinLock: null,
+
+    // Storage keys changed since the last save, and the pending save timer
+    unsaved: new Set(),
+    saveTimer: null,
+
     /**
      * Initialize state from storage
      */
@@ -43,37 +69,37 @@ const WocabeeState = {
 
     /**
      * Load saved data from chrome.storage
+     * Other contexts get it from the background, which migrates it first
      */
     async loadFromStorage() {
         if (typeof chrome !== 'undefined' && chrome.storage) {
             try {
-                const data = await chrome.storage.local.get([
-                    WocabeeConfig.storage.wordDatabase,
-                    WocabeeConfig.storage.settings,
-                    WocabeeConfig.storage.stats
-                ]);
-
-                // Load word database
-                if (data[WocabeeConfig.storage.wordDatabase]) {
-                    const savedWords = JSON.parse(data[WocabeeConfig.storage.wordDatabase]);
-                    this.wordDatabase = new Map(Object.entries(savedWords));
-                    this.rebuildReverseDatabase();
-                }
+                let data;
+                if (WocabeeStore.isOwner) {
+                    // Bring older saved data up to the current format first
+                    try {
+                        await WocabeeMigrations.run();
+                        this.storageError = null;
+                    } catch (error) {
+                        this.storageError = error.message;
+                        throw error;
+                    }
 
-                // Load settings
-                if (data[WocabeeConfig.storage.settings]) {
-                    this.settings = { 
-                        ...WocabeeConfig.defaults, 
-                        ...JSON.parse(data[WocabeeConfig.storage.settings]) 
-                    };
+                    data = await chrome.storage.local.get([
+                        ...this.getShardKeys(),
+                        WocabeeConfig.storage.settings,
+                        WocabeeConfig.storage.stats,
+                        WocabeeConfig.storage.studyPin
+                    ]);
+                    const pinLock = data[WocabeeConfig.storage.studyPin];
+                    this.pinLock = pinLock ? JSON.parse(pinLock) : null;
+                } else {
+                    const response = await WocabeeStore.request('getDatabase');
+                    data = response.data;
+                    this.storageError = response.storageError || null;
                 }
 
-                // Load stats
-                if (data[WocabeeConfig.storage.stats]) {
-                    const savedStats = JSON.parse(data[WocabeeConfig.storage.stats]);
-                    this.stats.wordsIndexed = savedStats.wordsIndexed || 0;
-                    this.stats.answersHelped = savedStats.answersHelped || 0;
-                }
+                this.applyStoredData(data);
             } catch (error) {
                 this.log('Storage load error:', error);
             }
@@ -81,28 +107,195 @@ const WocabeeState = {
     },
 
     /**
-     * Save data to chrome.storage
+     * Replace the in-memory copy with stored values (JSON strings by storage key)
+     * Keys missing from data are left as they are, a shard key without a value empties that shard
+     */
+    applyStoredData(data) {
+        // Load word shards - drop what this copy has for them, then add the stored entries
+        const shardKeys = Object.keys(data).filter(key => this.isShardKey(key));
+        if (shardKeys.length > 0) {
+            const loaded = new Set(shardKeys);
+            for (const source of [...this.wordDatabase.keys()]) {
+                if (loaded.has(this.getShardKey(source))) this.wordDatabase.delete(source);
+            }
+            for (const key of [...this.wordMeta.keys()]) {
+                if (loaded.has(this.getShardKey(key.split('\t')[0]))) this.wordMeta.delete(key);
+            }
+
+            shardKeys.forEach(key => {
+                if (!data[key]) return;
+                const { words, meta } = JSON.parse(data[key]);
+                Object.entries(words).forEach(([source, targets]) => this.wordDatabase.set(source, targets));
+                Object.entries(meta).forEach(([pair, record]) => this.wordMeta.set(pair, record));
+            });
+            this.rebuildReverseDatabase();
+        }
+
+        // Load settings
+        if (data[WocabeeConfig.storage.settings]) {
+            this.settings = { 
+                ...WocabeeConfig.defaults, 
+                ...JSON.parse(data[WocabeeConfig.storage.settings]) 
+            };
+        }
+
+        // Load stats
+        if (data[WocabeeConfig.storage.stats]) {
+            const savedStats = JSON.parse(data[WocabeeConfig.storage.stats]);
+            this.stats.wordsIndexed = savedStats.wordsIndexed || 0;
+            this.stats.answersHelped = savedStats.answersHelped || 0;
+        }
+    },
+
+    /**
+     * Get the in-memory copy as stored values (JSON strings by storage key)
+     * Optionally only some storage keys
+     */
+    serialize(keys = null) {
+        const wanted = (key) => !keys || keys.includes(key);
+        const data = {};
+
+        // One pass over the database fills every wanted shard
+        const shards = new Map(this.getShardKeys()
+            .filter(wanted)
+            .map(key => [key, { words: {}, meta: {} }]));
+        if (shards.size > 0) {
+            for (const [source, targets] of this.wordDatabase) {
+                const shard = shards.get(this.getShardKey(source));
+                if (!shard) continue;
+
+                shard.words[source] = targets;
+                targets.forEach(target => {
+                    const key = this.pairKey(source, target);
+                    if (this.wordMeta.has(key)) shard.meta[key] = this.wordMeta.get(key);
+                });
+            }
+            shards.forEach((shard, key) => {
+                data[key] = JSON.stringify(shard);
+            });
+        }
+
+        if (wanted(WocabeeConfig.storage.settings)) {
+            data[WocabeeConfig.storage.settings] = JSON.stringify(this.settings);
+        }
+        if (wanted(WocabeeConfig.storage.stats)) {
+            data[WocabeeConfig.storage.stats] = JSON.stringify(this.stats);
+        }
+        return data;
+    },
+
+    /**
+     * Get the storage key of the shard a source word is saved in
+     */
+    getShardKey(source) {
+        let hash = 0;
+        for (const char of source) {
+            hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        }
+        return `${WocabeeConfig.storage.wordShardPrefix}${hash % WocabeeConfig.storage.wordShards}`;
+    },
+
+    /**
+     * Get the storage keys of all word shards
+     */
+    getShardKeys() {
+        return Array.from({ length: WocabeeConfig.storage.wordShards },
+            (_, i) => `${WocabeeConfig.storage.wordShardPrefix}${i}`);
+    },
+
+    /**
+     * Check if a storage key is a word shard
+     */
+    isShardKey(key) {
+        return key.startsWith(WocabeeConfig.storage.wordShardPrefix);
+    },
+
+    /**
+     * Remember that the shard of a source word needs saving
+     */
+    markChanged(source) {
+        this.revision++;
+        this.unsaved.add(this.getShardKey(source));
+    },
+
+    /**
+     * Save the changed shards, settings and stats to chrome.storage
+     * Only the background service worker calls this - see commit()
      */
     async saveToStorage() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (this.unsaved.size === 0) return;
+        if (this.storageError) {
+            this.log('Not saving - the saved words could not be loaded:', this.storageError);
+            return;
+        }
+
         if (typeof chrome !== 'undefined' && chrome.storage) {
+            const keys = [...this.unsaved];
+            this.unsaved.clear();
             try {
-                const wordDbObject = Object.fromEntries(this.wordDatabase);
-                await chrome.storage.local.set({
-                    [WocabeeConfig.storage.wordDatabase]: JSON.stringify(wordDbObject),
-                    [WocabeeConfig.storage.settings]: JSON.stringify(this.settings),
-                    [WocabeeConfig.storage.stats]: JSON.stringify(this.stats)
-                });
-                this.log('Data saved to storage');
+                await chrome.storage.local.set(this.serialize(keys));
+                this.log(`Saved ${keys.length} storage keys`);
             } catch (error) {
+                keys.forEach(key => this.unsaved.add(key));
                 this.log('Storage save error:', error);
             }
         }
     },
 
+    /**
+     * Persist a change made to this copy
+     * The background batches changes into one save shortly after the last one; anywhere else
+     * the same change is sent to the background, which applies it to its own copy,
+     * so concurrent tabs can't overwrite each other
+     */
+    commit(action, payload = {}) {
+        if (WocabeeStore.isOwner) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.saveToStorage(), WocabeeConfig.timing.saveDebounce);
+            return Promise.resolve();
+        }
+
+        this.unsaved.clear();
+        return WocabeeStore.request(action, payload).catch(error => {
+            this.log(`Could not save change (${action}):`, error);
+        });
+    },
+
+    /**
+     * Reload when the background writes a change made in another context
+     * Keeps this in-memory copy in step with the stored database and settings
+     */
+    watchStorage(onChange) {
+        if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local') return;
+
+            // The change carries the new values, no need to ask the background
+            const data = {};
+            Object.entries(changes).forEach(([key, { newValue }]) => {
+                if (this.isShardKey(key) ||
+                    key === WocabeeConfig.storage.settings ||
+                    key === WocabeeConfig.storage.stats) {
+                    data[key] = newValue;
+                }
+            });
+            if (Object.keys(data).length === 0) return;
+
+            this.applyStoredData(data);
+
+            this.log('Saved data changed elsewhere - reloaded');
+            if (onChange) onChange();
+        });
+    },
+
     /**
      * Rebuild reverse lookup database
      */
     rebuildReverseDatabase() {
+        this.revision++;
         this.reverseDatabase.clear();
         for (const [source, targets] of this.wordDatabase) {
             if (Array.isArray(targets)) {
@@ -122,37 +315,66 @@ const WocabeeState = {
     },
 
     /**
-     * Add a word pair to the database
+     * Validate and normalize a word pair
+     * Returns the normalized [source, target] or null if it looks like scraping noise
+     * Words typed in by hand skip the scraping-only UI word check
      */
-    addWord(source, target) {
+    validatePair(source, target, { scraped = true } = {}) {
         // Validate inputs
-        if (!source || !target) return false;
-        if (typeof source !== 'string' || typeof target !== 'string') return false;
+        if (!source || !target) return null;
+        if (typeof source !== 'string' || typeof target !== 'string') return null;
         
         source = this.normalizeWord(source);
         target = this.normalizeWord(target);
         
         // Must have at least 1 character each
-        if (!source || !target || source.length < 1 || target.length < 1) return false;
+        if (!source || !target || source.length < 1 || target.length < 1) return null;
         
         // Don't add if source equals target
-        if (source === target) return false;
+        if (source === target) return null;
         
         // Reject pure numbers or timestamps
-        if (/^\d+$/.test(source) || /^\d+$/.test(target)) return false;
-        if (/^\d{10,}/.test(source) || /^\d{10,}/.test(target)) return false;
+        if (/^\d+$/.test(source) || /^\d+$/.test(target)) return null;
+        if (/^\d{10,}/.test(source) || /^\d{10,}/.test(target)) return null;
         
-        // Reject if too few letters (at least 2 letters required)
-        const letterRegex = /[a-zA-ZáčďéěíňóřšťúůýžÁČĎÉĚÍŇÓŘŠŤÚŮÝŽäöüßÄÖÜ]/g;
+        // Reject if too few letters (at least 2 letters, in any alphabet)
+        const letterRegex = /\p{L}/gu;
         const sourceLetters = (source.match(letterRegex) || []).length;
         const targetLetters = (target.match(letterRegex) || []).length;
-        if (sourceLetters < 2 || targetLetters < 2) return false;
+        if (sourceLetters < 2 || targetLetters < 2) return null;
         
         // Reject common UI words
+        if (!scraped) return [source, target];
         const uiWords = ['learning mode', 'wocabee', 'seznam', 'balíků', 'settings', 'menu', 'next', 'back', 'indexed', 'words known'];
         const lowerSource = source.toLowerCase();
         const lowerTarget = target.toLowerCase();
-        if (uiWords.some(w => lowerSource.includes(w) || lowerTarget.includes(w))) return false;
+        if (uiWords.some(w => lowerSource.includes(w) || lowerTarget.includes(w))) return null;
+
+        return [source, target];
+    },
+
+    /**
+     * Add a word pair to the database
+     * Optional meta describes where it was found: { package, url, languages, manual, deck }
+     * Pairs typed into a deck by hand have `manual: true` and skip the scraping-only checks;
+     * `deck` adds the pair to that deck, whether it is new or already known
+     */
+    addWord(source, target, meta = null) {
+        const result = this.insertWord(source, target, meta);
+        if (result.changed) {
+            this.commit('addWords', { pairs: [[source, target]], meta });
+        }
+        return result.added;
+    },
+
+    /**
+     * Add a word pair to the in-memory copy without saving it
+     * Returns { added, changed } - a known pair changes when its package is filled in
+     */
+    insertWord(source, target, meta = null) {
+        const pair = this.validatePair(source, target, { scraped: !meta?.manual });
+        if (!pair) return { added: false, changed: false };
+        [source, target] = pair;
 
         // Add to main database
         if (!this.wordDatabase.has(source)) {
@@ -172,32 +394,467 @@ const WocabeeState = {
                 this.reverseDatabase.get(target).push(source);
             }
 
+            this.recordMeta(source, target, meta);
+            this.markChanged(source);
+            this.unsaved.add(WocabeeConfig.storage.stats);
+
             this.log(`Added word: "${source}" -> "${target}"`);
-            this.saveToStorage();
+            return { added: true, changed: true };
+        }
+
+        // Known pair, but we may have just learned which package it belongs to
+        const changed = this.recordMeta(source, target, meta);
+        if (changed) this.markChanged(source);
+        return { added: false, changed };
+    },
+
+    /**
+     * Record where a word pair came from
+     * The first-seen date never changes, a missing package is filled in later
+     */
+    recordMeta(source, target, meta) {
+        const key = this.pairKey(source, target);
+        const existing = this.wordMeta.get(key);
+
+        if (!existing) {
+            const tags = WocabeeLanguages.tagPair(source, target, meta?.languages);
+            this.wordMeta.set(key, {
+                package: meta?.package || null,
+                url: meta?.url || null,
+                languages: meta?.languages || null,
+                sourceLanguage: tags.source,
+                targetLanguage: tags.target,
+                firstSeen: Date.now(),
+                ...(meta?.manual && { manual: true }),
+                ...(meta?.deck && { decks: [meta.deck] })
+            });
             return true;
         }
-        
+
+        // A known pair pasted into a deck joins it, wherever it came from
+        if (meta?.deck) {
+            if (existing.decks?.includes(meta.deck)) return false;
+            existing.decks = [...(existing.decks || []), meta.deck];
+            return true;
+        }
+
+        if (!existing.package && meta?.package) {
+            existing.package = meta.package;
+            existing.url = meta.url || existing.url;
+            existing.languages = meta.languages || existing.languages;
+            this.tagLanguages(source, target, existing);
+            return true;
+        }
+
         return false;
     },
 
+    /**
+     * Set the language of each side on a metadata record
+     */
+    tagLanguages(source, target, meta) {
+        const tags = WocabeeLanguages.tagPair(source, target, meta.languages);
+        meta.sourceLanguage = tags.source;
+        meta.targetLanguage = tags.target;
+    },
+
+    /**
+     * Get the language of each side of a word pair: { source, target }
+     * Pairs without metadata are guessed from their letters. Letters rarely tell two
+     * Latin-script languages apart, so a pair saved without language labels uses the
+     * labels of its package or deck
+     */
+    getLanguages(source, target) {
+        const meta = this.getMeta(source, target);
+        if (meta?.sourceLanguage && meta.targetLanguage) {
+            return { source: meta.sourceLanguage, target: meta.targetLanguage };
+        }
+
+        const labels = meta?.languages || this.getPackageLanguages(meta);
+        if (labels) return WocabeeLanguages.tagPair(source, target, labels);
+        if (!meta) return WocabeeLanguages.tagPair(source, target);
+        return {
+            source: meta.sourceLanguage || null,
+            target: meta.targetLanguage || null
+        };
+    },
+
+    /**
+     * Get the language labels saved with other pairs of a pair's package or decks (null if none)
+     */
+    getPackageLanguages(meta) {
+        if (!meta) return null;
+
+        if (this.packageLanguages.revision !== this.revision) {
+            const labels = new Map();
+            this.wordMeta.forEach(other => {
+                if (!other.languages) return;
+                this.getPackageNames(other).forEach(name => {
+                    if (!labels.has(name)) labels.set(name, other.languages);
+                });
+            });
+            this.packageLanguages = { revision: this.revision, labels };
+        }
+
+        const name = this.getPackageNames(meta).find(packageName => this.packageLanguages.labels.has(packageName));
+        return name ? this.packageLanguages.labels.get(name) : null;
+    },
+
+    /**
+     * Get the package a pair was indexed from and the hand-made decks it was added to
+     */
+    getPackageNames(meta) {
+        if (!meta) return [];
+        return [...new Set([meta.package, ...(meta.decks || [])])].filter(Boolean);
+    },
+
+    /**
+     * Get the metadata of a word pair (null if unknown)
+     */
+    getMeta(source, target) {
+        return this.wordMeta.get(this.pairKey(source, target)) || null;
+    },
+
+    /**
+     * Count a wrong answer given on the Wocabee site for a word pair
+     */
+    recordMistake(source, target) {
+        source = this.normalizeWord(source);
+        target = this.normalizeWord(target);
+        if (!this.hasPair(source, target)) return false;
+
+        this.recordMeta(source, target, null);
+        const meta = this.getMeta(source, target);
+        meta.mistakes = (meta.mistakes || 0) + 1;
+        meta.lastMistake = Date.now();
+        this.markChanged(source);
+
+        this.log(`Mistake #${meta.mistakes} on "${source}" -> "${target}"`);
+        this.commit('recordMistake', { source, target });
+        return true;
+    },
+
+    /**
+     * Record how each word pair went in a round of the matching game
+     * Results: [{ source, target, time, mismatches }] - time is the ms it took to find the pair.
+     * Rejects, changing nothing, if the background couldn't record them
+     */
+    async recordMatchResults(results) {
+        // Not through commit() - results that weren't saved mustn't count as new best times
+        if (!WocabeeStore.isOwner) {
+            await WocabeeStore.request('recordMatchResults', { results });
+        }
+
+        const recorded = [];
+        (results || []).forEach(({ source, target, time, mismatches }) => {
+            source = this.normalizeWord(source);
+            target = this.normalizeWord(target);
+            if (!this.hasPair(source, target)) return;
+
+            this.recordMeta(source, target, null);
+            const meta = this.getMeta(source, target);
+            const matching = meta.matching || { plays: 0, mismatches: 0, bestTime: null };
+            matching.plays++;
+            matching.mismatches += mismatches || 0;
+            matching.bestTime = matching.bestTime === null ? time : Math.min(matching.bestTime, time);
+            matching.lastTime = time;
+            matching.lastPlayed = Date.now();
+            meta.matching = matching;
+            this.markChanged(source);
+            recorded.push({ source, target, time, mismatches });
+        });
+        if (recorded.length === 0) return 0;
+
+        this.log(`Recorded matching game results for ${recorded.length} words`);
+        if (WocabeeStore.isOwner) {
+            this.commit('recordMatchResults', { results: recorded });
+        } else {
+            // The background has them already
+            this.unsaved.clear();
+        }
+        return recorded.length;
+    },
+
+    /**
+     * Get the notes, example sentences, part of speech and tags of a word pair
+     */
+    getDetails(source, target) {
+        const meta = this.getMeta(source, target);
+        return {
+            notes: meta?.notes || '',
+            examples: meta?.examples || [],
+            partOfSpeech: meta?.partOfSpeech || null,
+            tags: meta?.tags || []
+        };
+    },
+
+    /**
+     * Change the notes, example sentences, part of speech or tags of a word pair
+     * Fields left out keep their value
+     */
+    updateDetails(source, target, details) {
+        source = this.normalizeWord(source);
+        target = this.normalizeWord(target);
+        if (!this.hasPair(source, target)) return false;
+
+        const cleaned = this.cleanDetails(details || {});
+        this.recordMeta(source, target, null);
+        Object.assign(this.getMeta(source, target), cleaned);
+        this.markChanged(source);
+
+        this.log(`Updated details of "${source}" -> "${target}"`, cleaned);
+        this.commit('updateDetails', { source, target, details: cleaned });
+        return true;
+    },
+
+    /**
+     * Trim and validate details typed into the editor
+     * Tags are lowercase, without a leading # and without duplicates
+     */
+    cleanDetails(details) {
+        const cleaned = {};
+        if ('notes' in details) {
+            cleaned.notes = String(details.notes || '').trim();
+        }
+        if ('examples' in details) {
+            cleaned.examples = (details.examples || []).map(e => String(e).trim()).filter(Boolean);
+        }
+        if ('partOfSpeech' in details) {
+            cleaned.partOfSpeech = details.partOfSpeech in WocabeeConfig.partsOfSpeech ? details.partOfSpeech : null;
+        }
+        if ('tags' in details) {
+            cleaned.tags = [...new Set((details.tags || [])
+                .map(tag => String(tag).trim().toLowerCase().replace(/^#/, ''))
+                .filter(Boolean))];
+        }
+        return cleaned;
+    },
+
+    /**
+     * Get the word pairs answered wrong most often, most recent first on ties
+     * Returns [{ source, target, mistakes, lastMistake }]
+     */
+    getMissedWords(limit = Infinity) {
+        const missed = [];
+        for (const [key, meta] of this.wordMeta) {
+            if (!meta.mistakes) continue;
+            const [source, target] = key.split('\t');
+            if (!this.hasPair(source, target)) continue;
+            missed.push({ source, target, mistakes: meta.mistakes, lastMistake: meta.lastMistake });
+        }
+
+        missed.sort((a, b) => b.mistakes - a.mistakes || b.lastMistake - a.lastMistake);
+        return missed.slice(0, limit);
+    },
+
+    /**
+     * Check if a word pair is in the database
+     */
+    hasPair(source, target) {
+        const targets = this.wordDatabase.get(this.normalizeWord(source));
+        const normalized = this.normalizeWord(target);
+        return Array.isArray(targets) ? targets.includes(normalized) : targets === normalized;
+    },
+
+    /**
+     * Change a word pair, keeping its metadata
+     * Returns false if the new pair is not valid
+     */
+    updateWord(oldSource, oldTarget, newSource, newTarget) {
+        const pair = this.validatePair(newSource, newTarget, { scraped: false });
+        if (!pair) return false;
+
+        oldSource = this.normalizeWord(oldSource);
+        oldTarget = this.normalizeWord(oldTarget);
+        const [source, target] = pair;
+        if (source === oldSource && target === oldTarget) return true;
+
+        const meta = this.getMeta(oldSource, oldTarget);
+        this.deletePair(oldSource, oldTarget);
+
+        if (!this.wordDatabase.has(source)) {
+            this.wordDatabase.set(source, []);
+        }
+        const translations = this.wordDatabase.get(source);
+        if (!translations.includes(target)) {
+            translations.push(target);
+        }
+
+        // Keep where the word came from unless the new pair already had its own record
+        const newKey = this.pairKey(source, target);
+        if (meta && !this.wordMeta.has(newKey)) {
+            this.tagLanguages(source, target, meta);
+            this.wordMeta.set(newKey, meta);
+        }
+        this.markChanged(source);
+
+        this.rebuildReverseDatabase();
+        this.log(`Updated word: "${oldSource}" -> "${oldTarget}" is now "${source}" -> "${target}"`);
+        this.commit('updateWord', { oldSource, oldTarget, source, target });
+        return true;
+    },
+
+    /**
+     * Remove a single word pair from the database
+     */
+    removeWord(source, target) {
+        source = this.normalizeWord(source);
+        target = this.normalizeWord(target);
+        if (!this.deletePair(source, target)) return false;
+
+        this.rebuildReverseDatabase();
+        this.log(`Removed word: "${source}" -> "${target}"`);
+        this.commit('deleteWord', { source, target });
+        return true;
+    },
+
+    /**
+     * Delete a normalized pair from the main database and metadata
+     * The caller rebuilds the reverse database and saves
+     */
+    deletePair(source, target) {
+        const translations = this.wordDatabase.get(source);
+        if (!translations || !translations.includes(target)) return false;
+
+        const remaining = translations.filter(t => t !== target);
+        if (remaining.length > 0) {
+            this.wordDatabase.set(source, remaining);
+        } else {
+            this.wordDatabase.delete(source);
+        }
+        this.wordMeta.delete(this.pairKey(source, target));
+        this.markChanged(source);
+        return true;
+    },
+
     /**
      * Add multiple word pairs at once
      */
-    addWords(wordPairs) {
+    addWords(wordPairs, meta = null) {
         let addedCount = 0;
+        let changed = false;
         wordPairs.forEach(([source, target]) => {
-            if (this.addWord(source, target)) {
-                addedCount++;
-            }
+            const result = this.insertWord(source, target, meta);
+            if (result.added) addedCount++;
+            if (result.changed) changed = true;
         });
         if (addedCount > 0) {
             this.log(`Indexed ${addedCount} new words`);
         }
+        if (changed) {
+            this.commit('addWords', { pairs: wordPairs, meta });
+        }
         return addedCount;
     },
 
+    /**
+     * Count an answer the helper highlighted or filled in
+     */
+    recordHelp() {
+        this.stats.answersHelped++;
+        this.unsaved.add(WocabeeConfig.storage.stats);
+        this.commit('recordHelp');
+    },
+
+    /**
+     * Change some settings and save them
+     * Study-only mode and its lock are left out - they only change through setStudyOnly()
+     */
+    saveSettings(changes) {
+        const { studyOnly, studyOnlyLocked, ...allowed } = changes;
+        this.settings = { ...this.settings, ...allowed };
+        this.unsaved.add(WocabeeConfig.storage.settings);
+        return this.commit('saveSettings', { settings: allowed });
+    },
+
+    /**
+     * Check if an answer helper (autoHighlight, showHints or autoAnswer) is on
+     * Study-only mode turns them all off, whatever they are set to
+     */
+    isHelping(setting) {
+        return !this.settings.studyOnly && !!this.settings[setting];
+    },
+
+    /**
+     * Turn study-only mode on or off
+     * While it is locked with a PIN, only the same PIN can change it. Rejects on a wrong PIN.
+     * The background checks the PIN and saves the lock - other contexts only learn whether it is locked
+     */
+    async setStudyOnly(enabled, pin = '') {
+        if (!WocabeeStore.isOwner) {
+            const { settings } = await WocabeeStore.request('setStudyOnly', { enabled, pin });
+            this.settings = { ...this.settings, ...settings };
+            return;
+        }
+
+        if (this.settings.studyOnly && this.pinLock) {
+            await this.checkPin(pin);
+        }
+
+        this.pinLock = enabled && pin ? await this.createPinLock(pin) : null;
+        this.settings = {
+            ...this.settings,
+            studyOnly: enabled,
+            studyOnlyLocked: !!this.pinLock
+        };
+        this.unsaved.add(WocabeeConfig.storage.settings);
+        await this.saveToStorage();
+        this.log(`Study-only mode ${enabled ? 'on' : 'off'}${this.pinLock ? ' (locked)' : ''}`);
+    },
+
+    /**
+     * Check a PIN against the lock, rejecting if it is wrong
+     * After a few wrong PINs every try has to wait, twice as long each time
+     */
+    async checkPin(pin) {
+        const lock = this.pinLock;
+        const now = Date.now();
+        if (lock.retryAt > now) {
+            throw new Error(`Too many wrong PINs - try again in ${Math.ceil((lock.retryAt - now) / 1000)} s`);
+        }
+
+        // Count the try before hashing, so tries sent all at once can't skip the wait.
+        // A right PIN replaces the lock, which starts the count over
+        const { freeTries, retryDelay, maxRetryDelay } = WocabeeConfig.studyOnly;
+        lock.failures++;
+        if (lock.failures >= freeTries) {
+            lock.retryAt = now + Math.min(retryDelay * 2 ** (lock.failures - freeTries), maxRetryDelay);
+        }
+
+        if (await this.hashPin(pin, lock.salt) !== lock.hash) {
+            throw new Error('Wrong PIN');
+        }
+    },
+
+    /**
+     * Make a new PIN lock with a fresh salt
+     */
+    async createPinLock(pin) {
+        const salt = [...crypto.getRandomValues(new Uint8Array(16))]
+            .map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return { hash: await this.hashPin(pin, salt), salt, failures: 0, retryAt: 0 };
+    },
+
+    /**
+     * Hash a study-only PIN with its salt (PBKDF2-SHA-256, hex) so the PIN itself isn't stored
+     */
+    async hashPin(pin, salt) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(String(pin)), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({
+            name: 'PBKDF2',
+            salt: encoder.encode(salt),
+            iterations: WocabeeConfig.studyOnly.pinIterations,
+            hash: 'SHA-256'
+        }, key, 256);
+        return [...new Uint8Array(bits)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
     /**
      * Find translation for a word
+     * The exact word (any case) first, then the same letters with other accents or without
+     * an article. Typos never count - a close spelling could be a different word, so
+     * answering or highlighting with it would be wrong
      */
     findTranslation(word) {
         word = this.normalizeWord(word);
@@ -212,34 +869,18 @@ const WocabeeState = {
             return this.reverseDatabase.get(word);
         }
         
-        // Try partial matching
-        return this.findPartialMatch(word);
+        return this.findLooseMatch(word);
     },
 
     /**
-     * Find partial matches for a word
+     * Find the translation of a word written with other accents or without an article
+     * Only answers when exactly one pair fits, at no typo cost. Needs utils/search.js
      */
-    findPartialMatch(word) {
-        const matches = [];
-        const lowerWord = word.toLowerCase();
-        
-        // Search in main database
-        for (const [source, targets] of this.wordDatabase) {
-            if (source.toLowerCase().includes(lowerWord) || 
-                lowerWord.includes(source.toLowerCase())) {
-                matches.push(...targets);
-            }
-        }
-        
-        // Search in reverse database
-        for (const [target, sources] of this.reverseDatabase) {
-            if (target.toLowerCase().includes(lowerWord) || 
-                lowerWord.includes(target.toLowerCase())) {
-                matches.push(...sources);
-            }
-        }
-        
-        return matches.length > 0 ? [...new Set(matches)] : null;
+    findLooseMatch(word) {
+        const matches = WocabeeSearch.search(word, { prefix: false, whole: true })
+            .filter(match => match.cost === 0);
+        const translations = matches.flatMap(match => match.translations);
+        return translations.length === 1 ? translations : null;
     },
 
     /**
@@ -250,6 +891,59 @@ const WocabeeState = {
         return word.trim().toLowerCase().replace(/\s+/g, ' ');
     },
 
+    /**
+     * Get all database entries as [source, targets] pairs
+     */
+    getEntries() {
+        return [...this.wordDatabase.entries()];
+    },
+
+    /**
+     * Get all word pairs as flat [source, target] pairs
+     * Optionally only the pairs from one package
+     */
+    getPairs(packageName = null) {
+        const pairs = [];
+        for (const [source, targets] of this.wordDatabase) {
+            const targetArray = Array.isArray(targets) ? targets : [targets];
+            targetArray.forEach(target => {
+                if (packageName && !this.isInPackage(source, target, packageName)) return;
+                pairs.push([source, target]);
+            });
+        }
+        return pairs;
+    },
+
+    /**
+     * Check if a word pair belongs to a package, or to a hand-made deck of that name
+     */
+    isInPackage(source, target, packageName) {
+        return this.getPackageNames(this.getMeta(source, target)).includes(packageName);
+    },
+
+    /**
+     * Get all known packages and hand-made decks with their word pair counts
+     */
+    getPackages() {
+        const counts = new Map();
+        for (const meta of this.wordMeta.values()) {
+            this.getPackageNames(meta).forEach(name => {
+                counts.set(name, (counts.get(name) || 0) + 1);
+            });
+        }
+        return [...counts.entries()]
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Build a unique key for a word pair
+     * Normalized words never contain tabs, so a tab is a safe separator
+     */
+    pairKey(source, target) {
+        return `${this.normalizeWord(source)}\t${this.normalizeWord(target)}`;
+    },
+
     /**
      * Get database statistics
      */
@@ -267,12 +961,39 @@ const WocabeeState = {
      * Clear all stored data
      */
     async clearDatabase() {
+        // Not through commit() - a clear that failed must not look like it worked
+        let snapshot;
+        if (WocabeeStore.isOwner) {
+            // Keep a snapshot to undo this with - needs utils/snapshots.js, scheduler.js and auditor.js
+            snapshot = await WocabeeSnapshots.take('clear');
+        } else {
+            ({ snapshot } = await WocabeeStore.request('clearDatabase'));
+        }
+
         this.wordDatabase.clear();
         this.reverseDatabase.clear();
+        this.wordMeta.clear();
+        this.revision++;
         this.stats.wordsIndexed = 0;
         this.stats.answersHelped = 0;
-        await this.saveToStorage();
+        this.getShardKeys().forEach(key => this.unsaved.add(key));
+        this.unsaved.add(WocabeeConfig.storage.stats);
+        if (!WocabeeStore.isOwner) {
+            this.unsaved.clear();
+        } else if (typeof chrome !== 'undefined' && chrome.storage) {
+            await this.saveToStorage();
+            await chrome.storage.local.remove([
+                WocabeeConfig.storage.reviews,
+                WocabeeConfig.storage.auditIgnored
+            ]);
+
+            // The background's copies would otherwise write the old reviews back
+            clearTimeout(WocabeeScheduler.saveTimer);
+            WocabeeScheduler.records = new Map();
+            WocabeeAuditor.ignored = new Set();
+        }
         this.log('Database cleared');
+        return snapshot || null;
     },
 
     /**
@@ -283,24 +1004,70 @@ const WocabeeState = {
     },
 
     /**
-     * Import database from JSON
+     * Compare a JSON import with the current database without changing anything
+     * New: unknown source word, duplicate: pair already stored,
+     * conflict: known source word with a different translation
      */
-    importDatabase(jsonString) {
-        try {
-            const data = JSON.parse(jsonString);
-            let imported = 0;
-            for (const [source, targets] of Object.entries(data)) {
-                const targetArray = Array.isArray(targets) ? targets : [targets];
-                targetArray.forEach(target => {
-                    if (this.addWord(source, target)) imported++;
-                });
+    previewImport(jsonString) {
+        const preview = { new: 0, duplicate: 0, conflict: 0, invalid: 0, conflicts: [] };
+        this.parseImport(jsonString).forEach(([source, target]) => {
+            const pair = this.validatePair(source, target);
+            if (!pair) {
+                preview.invalid++;
+                return;
             }
-            this.log(`Imported ${imported} word pairs`);
-            return imported;
-        } catch (error) {
-            this.log('Import error:', error);
-            return 0;
+
+            const existing = this.wordDatabase.get(pair[0]);
+            if (!existing) {
+                preview.new++;
+            } else if (existing.includes(pair[1])) {
+                preview.duplicate++;
+            } else {
+                preview.conflict++;
+                preview.conflicts.push({ source: pair[0], existing: [...existing], incoming: pair[1] });
+            }
+        });
+        return preview;
+    },
+
+    /**
+     * Read a JSON export into [source, target] pairs, not validated yet
+     * Throws if it isn't an object of source words - an array or null is not an export
+     */
+    parseImport(jsonString) {
+        const data = JSON.parse(jsonString);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Not a WocabeeHelper word database export');
+        }
+
+        const pairs = [];
+        for (const [source, targets] of Object.entries(data)) {
+            const targetArray = Array.isArray(targets) ? targets : [targets];
+            targetArray.forEach(target => pairs.push([source, target]));
         }
+        return pairs;
+    },
+
+    /**
+     * Import database from JSON
+     * Snapshots the database first (needs utils/snapshots.js) - returns { imported, snapshot }.
+     * The background saves the imported words right away instead of batching them.
+     * Throws if the file can't be read or the snapshot fails, before anything is imported
+     */
+    async importDatabase(jsonString) {
+        // Checked on both sides - the background can't trust what it is sent
+        const pairs = this.parseImport(jsonString);
+        if (!WocabeeStore.isOwner) {
+            const { imported, snapshot } = await WocabeeStore.request('importDatabase', { json: jsonString });
+            await this.loadFromStorage();
+            return { imported, snapshot };
+        }
+
+        const snapshot = await WocabeeSnapshots.take('import');
+        const imported = this.addWords(pairs);
+        await this.saveToStorage();
+        this.log(`Imported ${imported} word pairs`);
+        return { imported, snapshot };
     },
 
     /**
@@ -0,0 +1,38 @@
+/**
+ * WocabeeHelper Store Client
+ * Talks to the background service worker, the only writer of the word database
+ */
+
+const WocabeeStore = {
+    /**
+     * Check if this code runs in the background service worker
+     */
+    get isOwner() {
+        return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+    },
+
+    /**
+     * Send a request to the background service worker
+     * Resolves with its response, rejects if the request failed
+     */
+    async request(action, payload = {}) {
+        const response = await chrome.runtime.sendMessage({ target: 'background', action, payload });
+        if (!response?.success) {
+            throw new Error(response?.error || `Background request "${action}" failed`);
+        }
+        this.log(`${action} done`);
+        return response;
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Store]`, 'color: #9C27B0; font-weight: bold;', ...args);
+        }
+    }
+};
+
+// Make it available globally
+window.WocabeeStore = WocabeeStore;
@@ -0,0 +1,62 @@
+/**
+ * WocabeeHelper Theme
+ * Light and dark colors for the extension's pages and the elements it adds to Wocabee
+ */
+
+const WocabeeTheme = {
+    // Theme setting values - "auto" follows the system's prefers-color-scheme
+    themes: ['auto', 'light', 'dark'],
+
+    /**
+     * Get the theme chosen in the settings
+     */
+    get(settings = WocabeeState.settings) {
+        const theme = settings?.theme;
+        return this.themes.includes(theme) ? theme : 'auto';
+    },
+
+    /**
+     * Get the attributes that theme an element, for WocabeeDom.create()
+     */
+    attributes() {
+        return { 'data-wh-theme': this.get() };
+    },
+
+    /**
+     * Apply the theme to every themed element on the page
+     * colors.css picks the colors from the data-wh-theme attribute
+     */
+    apply(theme = this.get()) {
+        document.querySelectorAll('[data-wh-theme]').forEach(element => {
+            element.dataset.whTheme = theme;
+        });
+        this.log('Applied', theme);
+    },
+
+    /**
+     * Apply the saved theme and follow changes made in the popup
+     */
+    init() {
+        this.apply();
+
+        if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+        chrome.storage.onChanged.addListener((changes, area) => {
+            const settings = changes[WocabeeConfig.storage.settings];
+            if (area !== 'local' || !settings?.newValue) return;
+
+            this.apply(this.get(JSON.parse(settings.newValue)));
+        });
+    },
+
+    /**
+     * Log helper
+     */
+    log(...args) {
+        if (WocabeeConfig.debug) {
+            console.log(`%c[${WocabeeConfig.name}:Theme]`, 'color: #795548; font-weight: bold;', ...args);
+        }
+    }
+};
+
+// Make it available globally
+window.WocabeeTheme = WocabeeTheme;